@@ -0,0 +1,227 @@
+/* api.js
+   Purpose: Shared helper for calling the Express API (server.js) from any page
+   Features:
+   - Resolves the API origin whether pages are served by server.js or a static dev server
+   - JSON request/response handling with a consistent error shape
+   - Sends the stored JWT as a Bearer header on every call
+   - Session helpers: save/clear the token, rebuild profileData from GET /api/me
+   - Permission checks against the role permissions returned with the session
+   - User settings (GET/PUT /api/me/settings) cached as userSettings
+   - File downloads for export endpoints
+   - URLs (and responsive srcsets) for images uploaded to the server
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   API BASE URL
+   ======================================== */
+
+// Ports of static dev servers that only serve the files (Live Server, http-server, Vite)
+const STATIC_DEV_PORTS = ['5500', '5501', '8080', '5173'];
+
+// Pages served by server.js (on any PORT) call the API on the same origin;
+// pages opened from disk or a static dev server fall back to the default API port
+window.API_BASE = window.location.protocol === 'file:' || STATIC_DEV_PORTS.includes(window.location.port)
+    ? 'http://localhost:3000'
+    : '';
+
+/* ========================================
+   SESSION STORAGE
+   Only the server-issued JWT and the public profile are kept in the
+   browser — never a password.
+   ======================================== */
+
+window.getAuthToken = function () {
+    return localStorage.getItem('authToken');
+};
+
+window.saveSession = function (token) {
+    localStorage.setItem('authToken', token);
+};
+
+window.clearSession = function () {
+    localStorage.removeItem('currentUser');
+    localStorage.removeItem('profileData');
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('userSettings');
+};
+
+/**
+ * Fetches GET /api/me and caches the result as profileData / currentUser
+ * Resolves with the public user object
+ */
+window.loadCurrentUser = function () {
+    return window.apiRequest('/api/me').then(({ user }) => {
+        localStorage.setItem('profileData', JSON.stringify(user));
+        localStorage.setItem('currentUser', user.fullName);
+        return user;
+    });
+};
+
+/**
+ * Reads one cached setting, e.g. getSetting('preferences', 'theme', 'dark')
+ * Falls back when the settings haven't been loaded (or for guests)
+ */
+window.getSetting = function (section, key, fallback) {
+    try {
+        const settings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+        const value = settings[section] && settings[section][key];
+        return value === undefined ? fallback : value;
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Fetches GET /api/me/settings and caches it as userSettings
+ */
+window.loadSettings = function () {
+    return window.apiRequest('/api/me/settings').then(({ settings }) => {
+        localStorage.setItem('userSettings', JSON.stringify(settings));
+        return settings;
+    });
+};
+
+/**
+ * Saves part of the settings document, e.g. saveSettings({ preferences: { theme: 'light' } })
+ * Signed-in users save through PUT /api/me/settings; guests keep them in this browser only
+ */
+window.saveSettings = function (patch) {
+    if (!window.getAuthToken()) {
+        const settings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+        Object.keys(patch).forEach(section => {
+            settings[section] = { ...settings[section], ...patch[section] };
+        });
+        localStorage.setItem('userSettings', JSON.stringify(settings));
+        return Promise.resolve(settings);
+    }
+
+    return window.apiRequest('/api/me/settings', { method: 'PUT', body: patch }).then(({ settings }) => {
+        localStorage.setItem('userSettings', JSON.stringify(settings));
+        return settings;
+    });
+};
+
+/**
+ * True when the signed-in user's role grants a permission (e.g. 'sales:view')
+ * Only decides what the UI shows — the server enforces every permission itself
+ */
+window.hasPermission = function (permission) {
+    try {
+        const profile = JSON.parse(localStorage.getItem('profileData') || '{}');
+        return (profile.permissions || []).includes(permission);
+    } catch {
+        return false;
+    }
+};
+
+// Purge data left by the old localStorage-only auth: the plaintext
+// "users" list and fake btoa() tokens that aren't real JWTs; the currency
+// choice now lives in userSettings
+localStorage.removeItem('users');
+localStorage.removeItem('preferredCurrency');
+if (window.getAuthToken() && window.getAuthToken().split('.').length !== 3) window.clearSession();
+
+/* ========================================
+   REQUEST HELPER
+   ======================================== */
+
+function authHeaders() {
+    const token = window.getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Calls an API endpoint and resolves with the parsed JSON body
+ * Rejects with an Error carrying the server message and HTTP status
+ * String bodies are sent as-is with options.contentType (e.g. CSV uploads)
+ * FormData bodies are sent as multipart, with the boundary set by the browser
+ *
+ *   apiRequest('/api/vehicles?category=CASUAL')
+ *   apiRequest('/api/vehicles', { method: 'POST', body: { make: 'Toyota', ... } })
+ *   apiRequest('/api/sales/import', { method: 'POST', body: csvText, contentType: 'text/csv' })
+ *   apiRequest('/api/me/avatar', { method: 'POST', body: formData })
+ */
+window.apiRequest = function (endpoint, options = {}) {
+    const { method = 'GET', body, contentType } = options;
+    const headers = authHeaders();
+    const multipart = body instanceof FormData;
+    const raw = multipart || typeof body === 'string';
+
+    // Error messages come back in the page language (see i18n.js)
+    headers['Accept-Language'] = document.documentElement.lang || 'en';
+    if (body !== undefined && !multipart) headers['Content-Type'] = raw ? (contentType || 'text/plain') : 'application/json';
+
+    return fetch(`${window.API_BASE}${endpoint}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+    }).then(res => res.json().catch(() => ({})).then(data => {
+        // A rejected token means the session is over (expired, or account removed)
+        if (res.status === 401 && headers.Authorization) window.clearSession();
+
+        if (!res.ok) {
+            const err = new Error(data.message || `Request failed (${res.status})`);
+            err.status = res.status;
+            err.data = data;
+            throw err;
+        }
+        return data;
+    }));
+};
+
+/* ========================================
+   MEDIA
+   Uploaded avatars and vehicle photos are served under /uploads by server.js
+   ======================================== */
+
+// Mirrors VEHICLE_IMAGE_WIDTHS in server.js
+const VEHICLE_IMAGE_WIDTHS = [320, 640, 1280];
+
+/**
+ * Full URL for an image uploaded to the server (on the API origin, like
+ * every API call); links to other sites are returned unchanged
+ */
+window.mediaUrl = function (url) {
+    return /^\/uploads\//.test(url || '') ? `${window.API_BASE}${url}` : (url || '');
+};
+
+/**
+ * Points an <img> at a vehicle photo; photos from the media store also get a
+ * srcset so the browser only downloads the width it needs
+ *
+ *   setVehicleImage(img, vehicle.images[0], '280px')
+ */
+window.setVehicleImage = function (img, url, sizes = '100vw') {
+    const stored = /^(\/uploads\/vehicles\/\d+-[0-9a-f]+)-\d+\.webp$/.exec(url || '');
+    img.src = window.mediaUrl(url);
+    if (!stored) {
+        img.removeAttribute('srcset');
+        return;
+    }
+    img.srcset = VEHICLE_IMAGE_WIDTHS
+        .map(width => `${window.mediaUrl(`${stored[1]}-${width}.webp`)} ${width}w`)
+        .join(', ');
+    img.sizes = sizes;
+};
+
+/**
+ * Downloads a file from an API endpoint (e.g. CSV exports)
+ * Uses the filename from the Content-Disposition header when present
+ */
+window.apiDownload = function (endpoint, fallbackName) {
+    return fetch(`${window.API_BASE}${endpoint}`, { headers: authHeaders() }).then(res => {
+        if (!res.ok) throw new Error(`Download failed (${res.status})`);
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return res.blob().then(blob => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : fallbackName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        });
+    });
+};
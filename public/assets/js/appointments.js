@@ -0,0 +1,485 @@
+/* appointments.js
+   Purpose: Test-drive and viewing appointments, backed by /api/appointments
+   Features:
+   - Vehicle page (vehicle.html): pick a date and a free slot, then book
+   - Profile page (profile.html): the user's bookings, with cancel
+   - Staff calendar (appointments.html): the day's bookings, showroom hours
+     and blackout days (appointments:manage)
+   Notes:
+   - Each part only runs when its container is on the page
+   - Slot availability and double-booking are decided by the server; the
+     slot list is refreshed after every booking attempt
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Everything below is rendered through t(), so wait for the catalogs
+    window.i18nReady.then(() => {
+        if (document.getElementById('booking-form')) initBooking();
+        if (document.getElementById('my-appointments')) loadMyAppointments();
+        if (document.getElementById('day-picker')) initStaffCalendar();
+    });
+});
+
+/* ========================================
+   SHARED HELPERS
+   ======================================== */
+
+const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// YYYY-MM-DD in the browser's local time (the showroom's dates are local too)
+function localDateString(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatAppointmentDate(date, time) {
+    const options = time ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'full' };
+    return new Date(`${date}T${time || '00:00'}`).toLocaleString(document.documentElement.lang || undefined, options);
+}
+
+function appointmentTypeLabel(type) {
+    return type === 'viewing' ? t('appointments.viewing') : t('appointments.testDrive');
+}
+
+function isUpcoming(appointment) {
+    return `${appointment.date}T${appointment.time}` > `${localDateString()}T${new Date().toTimeString().slice(0, 5)}`;
+}
+
+function closedMessage(reason) {
+    return reason ? t('appointments.closedFor', { reason }) : t('appointments.closed');
+}
+
+function cancelAppointment(appointment, onDone) {
+    const when = formatAppointmentDate(appointment.date, appointment.time);
+    if (!confirm(t('appointments.confirmCancel', { vehicle: appointment.vehicleName, when }))) return;
+
+    apiRequest(`/api/appointments/${appointment.id}/cancel`, { method: 'POST' })
+        .then(onDone)
+        .catch(err => {
+            console.error('[Appointments] Cancel failed:', err);
+            alert(err.message);
+        });
+}
+
+/* ========================================
+   BOOKING (vehicle.html)
+   ======================================== */
+
+function initBooking() {
+    const vehicleId = new URLSearchParams(window.location.search).get('id');
+    if (!vehicleId) return;
+
+    const form = document.getElementById('booking-form');
+    const today = localDateString();
+    form.elements.date.min = today;
+    form.elements.date.value = today;
+
+    form.elements.date.addEventListener('change', () => loadSlots(vehicleId));
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!getAuthToken()) {
+            navigateToPage('login.html');
+            return;
+        }
+        bookSlot(vehicleId);
+    });
+
+    if (!getAuthToken()) {
+        const submit = document.getElementById('booking-submit');
+        submit.dataset.i18n = 'appointments.loginToBook';
+        translatePage(submit);
+    }
+
+    loadSlots(vehicleId).then(() => {
+        document.getElementById('booking-section').hidden = false;
+    });
+}
+
+let selectedSlot = null;
+
+function loadSlots(vehicleId) {
+    const form = document.getElementById('booking-form');
+    const container = document.getElementById('booking-slots');
+    const hint = document.getElementById('booking-hint');
+    selectedSlot = null;
+    updateBookingButton();
+    container.innerHTML = '';
+
+    const date = form.elements.date.value;
+    if (!date) {
+        hint.textContent = t('appointments.pickDate');
+        return Promise.resolve();
+    }
+
+    hint.textContent = t('common.loading');
+    return apiRequest(`/api/vehicles/${encodeURIComponent(vehicleId)}/slots?date=${date}`)
+        .then(day => {
+            if (day.closed) {
+                hint.textContent = closedMessage(day.reason);
+                return;
+            }
+
+            const free = day.slots.filter(slot => slot.available);
+            hint.textContent = free.length
+                ? t('appointments.chooseSlot', { open: day.open, close: day.close })
+                : t('appointments.noSlots');
+
+            day.slots.forEach(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'slot-btn';
+                button.textContent = slot.time;
+                button.disabled = !slot.available;
+                button.setAttribute('aria-pressed', 'false');
+                button.addEventListener('click', () => {
+                    container.querySelectorAll('.slot-btn').forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+                    selectedSlot = slot.time;
+                    updateBookingButton();
+                });
+                container.appendChild(button);
+            });
+        })
+        .catch(err => {
+            console.error('[Appointments] Failed to load slots:', err);
+            hint.textContent = err.status === 404 ? '' : err.message;
+            if (err.status === 404) document.getElementById('booking-section').hidden = true;
+        });
+}
+
+function updateBookingButton() {
+    // Guests can always press it: it takes them to the login page
+    document.getElementById('booking-submit').disabled = Boolean(getAuthToken()) && !selectedSlot;
+}
+
+function bookSlot(vehicleId) {
+    const form = document.getElementById('booking-form');
+    const message = document.getElementById('booking-message');
+    const body = {
+        vehicleId,
+        date: form.elements.date.value,
+        time: selectedSlot,
+        type: form.elements.type.value,
+        notes: form.elements.notes.value.trim()
+    };
+
+    document.getElementById('booking-submit').disabled = true;
+    message.classList.remove('error');
+
+    apiRequest('/api/appointments', { method: 'POST', body })
+        .then(({ appointment }) => {
+            message.textContent = t('appointments.bookedFor', {
+                type: appointmentTypeLabel(appointment.type),
+                when: formatAppointmentDate(appointment.date, appointment.time)
+            });
+            form.elements.notes.value = '';
+        })
+        .catch(err => {
+            console.error('[Appointments] Booking failed:', err);
+            message.textContent = err.message;
+            message.classList.add('error');
+        })
+        .finally(() => loadSlots(vehicleId));
+}
+
+/* ========================================
+   MY APPOINTMENTS (profile.html)
+   ======================================== */
+
+function loadMyAppointments() {
+    const list = document.getElementById('my-appointments');
+
+    apiRequest('/api/me/appointments')
+        .then(appointments => {
+            list.innerHTML = '';
+            if (!appointments.length) {
+                list.appendChild(emptyNote(t('appointments.noneYet')));
+                return;
+            }
+
+            // Upcoming bookings first (soonest first), then history (latest first)
+            const upcoming = appointments.filter(a => a.status === 'booked' && isUpcoming(a));
+            const history = appointments.filter(a => !upcoming.includes(a)).reverse();
+            [...upcoming, ...history].forEach(a => list.appendChild(createMyAppointment(a)));
+        })
+        .catch(err => {
+            console.error('[Appointments] Failed to load bookings:', err);
+            list.innerHTML = '';
+            list.appendChild(emptyNote(t('appointments.unavailable')));
+        });
+}
+
+function emptyNote(text) {
+    const note = document.createElement('p');
+    note.className = 'appointment-empty';
+    note.textContent = text;
+    return note;
+}
+
+function createMyAppointment(appointment) {
+    const item = document.createElement('div');
+    item.className = `appointment-item status-${appointment.status}`;
+
+    const vehicle = document.createElement('a');
+    vehicle.className = 'vehicle';
+    vehicle.href = '#';
+    vehicle.textContent = appointment.vehicleName;
+    vehicle.addEventListener('click', e => {
+        e.preventDefault();
+        navigateToPage(`vehicle.html?id=${encodeURIComponent(appointment.vehicleId)}`);
+    });
+
+    const when = document.createElement('span');
+    when.className = 'date';
+    when.textContent = `${appointmentTypeLabel(appointment.type)} · ${formatAppointmentDate(appointment.date, appointment.time)}`;
+
+    const status = document.createElement('span');
+    status.className = 'appointment-status';
+
+    item.append(vehicle, when, status);
+
+    if (appointment.status === 'cancelled') {
+        status.textContent = t('appointments.cancelled');
+    } else if (!isUpcoming(appointment)) {
+        status.textContent = t('appointments.past');
+    } else {
+        status.textContent = t('appointments.booked');
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'appointment-cancel';
+        cancel.textContent = t('appointments.cancel');
+        cancel.addEventListener('click', () => cancelAppointment(appointment, loadMyAppointments));
+        item.appendChild(cancel);
+    }
+
+    return item;
+}
+
+/* ========================================
+   STAFF CALENDAR (appointments.html)
+   ======================================== */
+
+function initStaffCalendar() {
+    const picker = document.getElementById('day-picker');
+    picker.elements.date.value = localDateString();
+
+    picker.addEventListener('submit', e => e.preventDefault());
+    picker.elements.date.addEventListener('change', loadDay);
+
+    picker.querySelectorAll('[data-step]').forEach(button => {
+        button.addEventListener('click', () => {
+            const step = Number(button.dataset.step);
+            const current = picker.elements.date.value ? new Date(`${picker.elements.date.value}T00:00`) : new Date();
+            const next = step === 0 ? new Date() : new Date(current.getFullYear(), current.getMonth(), current.getDate() + step);
+            picker.elements.date.value = localDateString(next);
+            loadDay();
+        });
+    });
+
+    loadDay();
+    initScheduleEditor();
+}
+
+function loadDay() {
+    const date = document.getElementById('day-picker').elements.date.value || localDateString();
+    const summary = document.getElementById('day-summary');
+
+    apiRequest(`/api/appointments?date=${date}`)
+        .then(day => {
+            const active = day.appointments.filter(a => a.status === 'booked');
+            const hours = day.closed ? closedMessage(day.reason) : t('appointments.openFromTo', { open: day.open, close: day.close });
+            summary.textContent = `${formatAppointmentDate(day.date)} — ${hours} — ${t('appointments.bookingCount', { count: active.length })}`;
+
+            const tbody = document.getElementById('day-body');
+            tbody.innerHTML = '';
+            if (!day.appointments.length) renderDayMessage(t('appointments.noneThisDay'));
+            day.appointments.forEach(a => tbody.appendChild(createDayRow(a)));
+        })
+        .catch(err => {
+            console.error('[Appointments] Failed to load day:', err);
+            summary.textContent = '';
+            renderDayMessage(err.status === 401 || err.status === 403
+                ? t('appointments.staffOnly')
+                : t('appointments.unavailable'));
+        });
+}
+
+function renderDayMessage(message) {
+    const tbody = document.getElementById('day-body');
+    tbody.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.textContent = message;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+}
+
+function createDayRow(appointment) {
+    const row = document.createElement('tr');
+    if (appointment.status === 'cancelled') row.classList.add('appointment-cancelled');
+
+    const cells = [
+        appointment.time,
+        appointment.customerName,
+        appointment.customerEmail,
+        appointment.vehicleName,
+        appointmentTypeLabel(appointment.type),
+        appointment.notes || '',
+        appointment.status === 'cancelled' ? t('appointments.cancelled') : t('appointments.booked')
+    ].map(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+    });
+
+    const actions = document.createElement('td');
+    if (appointment.status === 'booked' && isUpcoming(appointment)) {
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.textContent = t('appointments.cancel');
+        cancel.addEventListener('click', () => cancelAppointment(appointment, loadDay));
+        actions.appendChild(cancel);
+    }
+
+    row.append(...cells, actions);
+    return row;
+}
+
+/* ========================================
+   SHOWROOM SCHEDULE (appointments.html)
+   ======================================== */
+
+let blackoutDays = [];
+
+function initScheduleEditor() {
+    const form = document.getElementById('schedule-form');
+
+    apiRequest('/api/showroom/schedule')
+        .then(renderSchedule)
+        .catch(err => console.error('[Appointments] Failed to load schedule:', err));
+
+    document.getElementById('blackout-add').addEventListener('click', () => {
+        const date = document.getElementById('blackout-date').value;
+        const reason = document.getElementById('blackout-reason').value.trim();
+        if (!date) return;
+
+        blackoutDays = blackoutDays.filter(day => day.date !== date).concat({ date, reason });
+        blackoutDays.sort((a, b) => a.date.localeCompare(b.date));
+        document.getElementById('blackout-date').value = '';
+        document.getElementById('blackout-reason').value = '';
+        renderBlackoutDays();
+    });
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        saveSchedule();
+    });
+}
+
+function renderSchedule(schedule) {
+    const form = document.getElementById('schedule-form');
+    form.elements.slotMinutes.value = schedule.slotMinutes;
+    form.elements.slotCapacity.value = schedule.slotCapacity;
+
+    const tbody = document.getElementById('hours-body');
+    tbody.innerHTML = '';
+    WEEKDAY_KEYS.forEach(day => {
+        const hours = schedule.hours[day];
+        const row = document.createElement('tr');
+        row.dataset.day = day;
+
+        const name = document.createElement('td');
+        name.textContent = t(`appointments.weekday.${day}`);
+
+        const openCell = document.createElement('td');
+        const isOpen = document.createElement('input');
+        isOpen.type = 'checkbox';
+        isOpen.className = 'day-is-open';
+        isOpen.checked = Boolean(hours);
+        openCell.appendChild(isOpen);
+
+        const [opens, closes] = [['open', '09:00'], ['close', '18:00']].map(([key, fallback]) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.className = `day-${key}`;
+            input.value = hours ? hours[key] : fallback;
+            input.disabled = !hours;
+            cell.appendChild(input);
+            return cell;
+        });
+
+        isOpen.addEventListener('change', () => {
+            row.querySelectorAll('input[type="time"]').forEach(input => { input.disabled = !isOpen.checked; });
+        });
+
+        row.append(name, openCell, opens, closes);
+        tbody.appendChild(row);
+    });
+
+    blackoutDays = schedule.blackoutDays.slice();
+    renderBlackoutDays();
+}
+
+function renderBlackoutDays() {
+    const list = document.getElementById('blackout-list');
+    list.innerHTML = '';
+
+    if (!blackoutDays.length) {
+        const empty = document.createElement('li');
+        empty.textContent = t('appointments.noBlackouts');
+        list.appendChild(empty);
+        return;
+    }
+
+    blackoutDays.forEach(day => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = day.reason ? `${formatAppointmentDate(day.date)} — ${day.reason}` : formatAppointmentDate(day.date);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = t('appointments.remove');
+        remove.addEventListener('click', () => {
+            blackoutDays = blackoutDays.filter(d => d !== day);
+            renderBlackoutDays();
+        });
+
+        item.append(label, remove);
+        list.appendChild(item);
+    });
+}
+
+function saveSchedule() {
+    const form = document.getElementById('schedule-form');
+    const message = document.getElementById('schedule-message');
+
+    const hours = {};
+    document.querySelectorAll('#hours-body tr').forEach(row => {
+        hours[row.dataset.day] = row.querySelector('.day-is-open').checked
+            ? { open: row.querySelector('.day-open').value, close: row.querySelector('.day-close').value }
+            : null;
+    });
+
+    const body = {
+        slotMinutes: Number(form.elements.slotMinutes.value),
+        slotCapacity: Number(form.elements.slotCapacity.value),
+        hours,
+        blackoutDays
+    };
+
+    message.classList.remove('error');
+    apiRequest('/api/showroom/schedule', { method: 'PUT', body })
+        .then(({ schedule }) => {
+            renderSchedule(schedule);
+            message.textContent = t('appointments.scheduleSaved');
+            loadDay();
+        })
+        .catch(err => {
+            console.error('[Appointments] Failed to save schedule:', err);
+            message.textContent = err.message;
+            message.classList.add('error');
+        });
+}
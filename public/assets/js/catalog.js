@@ -0,0 +1,111 @@
+/* catalog.js
+   Purpose: Render the Casual / Supercar collection pages from /api/vehicles
+   Features:
+   - Groups vehicles into brand sections (Toyota, McLaren, ...) in inventory order
+   - Builds the same .car-brand / .car-gallery / .car-item markup the pages used to hard-code
+   - VIEW buttons open vehicle.html?id=... through navigateToPage (navbar.js)
+   - Wishlist heart on each card where wishlist.js is loaded
+   - Button and status text from the i18n catalogs (rendered once i18nReady resolves)
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('catalog');
+    if (!container) return;
+
+    const category = container.dataset.category;
+
+    Promise.all([apiRequest(`/api/vehicles?category=${encodeURIComponent(category)}`), window.i18nReady])
+        .then(([vehicles]) => renderCatalog(container, vehicles))
+        .catch(err => {
+            console.error('[Catalog] Failed to load vehicles:', err);
+            window.i18nReady.then(() => renderMessage(container, t('catalog.unavailable')));
+        });
+});
+
+/* ========================================
+   RENDERING
+   ======================================== */
+
+function renderCatalog(container, vehicles) {
+    container.innerHTML = '';
+
+    if (!vehicles.length) {
+        renderMessage(container, t('catalog.empty'));
+        return;
+    }
+
+    // Group by make, keeping the order brands first appear in the inventory
+    const brands = new Map();
+    vehicles.forEach(vehicle => {
+        if (!brands.has(vehicle.make)) brands.set(vehicle.make, []);
+        brands.get(vehicle.make).push(vehicle);
+    });
+
+    brands.forEach((brandVehicles, make) => {
+        const heading = document.createElement('h1');
+        heading.className = 'car-brand';
+        heading.textContent = make;
+
+        const gallery = document.createElement('div');
+        gallery.className = 'car-gallery';
+        brandVehicles.forEach(vehicle => gallery.appendChild(createCarItem(vehicle)));
+
+        container.append(heading, gallery);
+    });
+}
+
+function createCarItem(vehicle) {
+    const name = `${vehicle.make} ${vehicle.model}`;
+
+    const item = document.createElement('div');
+    item.className = 'car-item';
+    item.dataset.vehicleId = vehicle.id;
+
+    const img = document.createElement('img');
+    img.className = 'car';
+    img.loading = 'lazy';
+    setVehicleImage(img, vehicle.images && vehicle.images[0], '280px');
+    img.alt = name;
+
+    const title = document.createElement('p');
+    title.className = 'car-name';
+    title.textContent = name;
+
+    const info = document.createElement('div');
+    info.className = 'car-info';
+    info.textContent = vehicle.description;
+
+    const button = document.createElement('button');
+    button.className = 'view-button';
+    // data-i18n keeps the label following later language switches
+    button.dataset.i18n = vehicle.stock > 0 ? 'catalog.view' : 'catalog.soldOut';
+    button.textContent = t(button.dataset.i18n);
+    button.addEventListener('click', () => navigateToPage(`vehicle.html?id=${encodeURIComponent(vehicle.id)}`));
+
+    item.append(img, title);
+
+    // Price line only on pages that load currency.js
+    if (typeof formatPrice === 'function') {
+        const price = document.createElement('p');
+        price.className = 'car-price';
+        setPrice(price, vehicle.price);
+        item.appendChild(price);
+    }
+
+    item.append(info, button);
+
+    // Save-to-wishlist heart only on pages that load wishlist.js
+    if (typeof createWishlistToggle === 'function') {
+        item.appendChild(createWishlistToggle(vehicle.id));
+    }
+    return item;
+}
+
+function renderMessage(container, message) {
+    const h2 = document.createElement('h2');
+    h2.className = 'catalog-message';
+    h2.textContent = message;
+    container.innerHTML = '';
+    container.appendChild(h2);
+}
@@ -0,0 +1,188 @@
+/* compare.js
+   Purpose: Side-by-side vehicle comparison (compare.html)
+   Features:
+   - 2–4 vehicles from ?ids=1,2,3 — add or remove them on the page
+   - Rows for price, horsepower, 0–100 km/h and engine, with the best
+     value in each row highlighted
+   - The selection is kept in the URL so a comparison can be bookmarked
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   ROWS
+   ======================================== */
+
+const MAX_COMPARED = 4;
+const MIN_COMPARED = 2;
+
+// Engine strings start with the displacement, e.g. "4.0L twin-turbo V8"
+function engineDisplacement(engine) {
+    const match = /^(\d+(?:\.\d+)?)\s*L/i.exec(engine || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * One entry per table row
+ *   value: the number used to pick the best cell (null = not comparable)
+ *   best:  'min' or 'max'
+ *   render: fills the cell
+ */
+const COMPARE_ROWS = [
+    {
+        label: () => t('compare.price'),
+        value: v => v.price,
+        best: 'min',
+        render: (cell, v) => setPrice(cell, v.price)
+    },
+    {
+        label: () => t('vehicle.horsepower'),
+        value: v => v.horsepower || null,
+        best: 'max',
+        render: (cell, v) => { cell.textContent = v.horsepower ? `${v.horsepower.toLocaleString()} hp` : '-'; }
+    },
+    {
+        label: () => '0–100 km/h',
+        value: v => v.zeroToHundred || null,
+        best: 'min',
+        render: (cell, v) => { cell.textContent = v.zeroToHundred ? `${v.zeroToHundred} s` : '-'; }
+    },
+    {
+        // Largest displacement counts as best
+        label: () => t('vehicle.engine'),
+        value: v => engineDisplacement(v.engine),
+        best: 'max',
+        render: (cell, v) => { cell.textContent = v.engine || '-'; }
+    }
+];
+
+/* ========================================
+   STATE
+   ======================================== */
+
+let allVehicles = [];
+let comparedIds = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('compare-table')) return;
+
+    const requested = (new URLSearchParams(window.location.search).get('ids') || '')
+        .split(',')
+        .filter(Boolean);
+
+    document.getElementById('compare-add').addEventListener('change', e => {
+        if (e.target.value) setCompared([...comparedIds, e.target.value]);
+    });
+
+    Promise.all([apiRequest('/api/vehicles'), window.i18nReady])
+        .then(([vehicles]) => {
+            allVehicles = vehicles;
+            setCompared(requested);
+        })
+        .catch(err => {
+            console.error('[Compare] Failed to load vehicles:', err);
+            document.getElementById('compare-hint').textContent = t('compare.unavailable');
+        });
+});
+
+// Keeps known, unique IDs (at most four) and mirrors them into the URL
+function setCompared(ids) {
+    const known = new Set(allVehicles.map(v => String(v.id)));
+    comparedIds = [...new Set(ids.map(String))].filter(id => known.has(id)).slice(0, MAX_COMPARED);
+
+    const url = new URL(window.location.href);
+    if (comparedIds.length) url.searchParams.set('ids', comparedIds.join(','));
+    else url.searchParams.delete('ids');
+    history.replaceState(null, '', url);
+
+    renderPicker();
+    renderComparison();
+}
+
+/* ========================================
+   RENDERING
+   ======================================== */
+
+function renderPicker() {
+    const select = document.getElementById('compare-add');
+    select.length = 1;
+    select.value = '';
+    allVehicles
+        .filter(v => !comparedIds.includes(String(v.id)))
+        .sort((a, b) => `${a.make} ${a.model}`.localeCompare(`${b.make} ${b.model}`))
+        .forEach(v => select.add(new Option(`${v.make} ${v.model}`, v.id)));
+    select.disabled = comparedIds.length >= MAX_COMPARED;
+
+    document.getElementById('compare-hint').textContent = comparedIds.length < MIN_COMPARED
+        ? t('compare.pickAtLeast', { min: MIN_COMPARED, max: MAX_COMPARED })
+        : t('compare.bestHighlighted');
+}
+
+function renderComparison() {
+    const table = document.getElementById('compare-table');
+    const vehicles = comparedIds.map(id => allVehicles.find(v => String(v.id) === id));
+    table.hidden = !vehicles.length;
+
+    const head = document.getElementById('compare-head');
+    head.innerHTML = '';
+    head.appendChild(document.createElement('th'));
+    vehicles.forEach(vehicle => head.appendChild(createVehicleHeader(vehicle)));
+
+    const body = document.getElementById('compare-body');
+    body.innerHTML = '';
+    COMPARE_ROWS.forEach(row => {
+        const tr = document.createElement('tr');
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = row.label();
+        tr.appendChild(label);
+
+        const best = bestValue(vehicles.map(row.value), row.best);
+        vehicles.forEach(vehicle => {
+            const cell = document.createElement('td');
+            row.render(cell, vehicle);
+            if (best !== null && row.value(vehicle) === best) cell.classList.add('best');
+            tr.appendChild(cell);
+        });
+        body.appendChild(tr);
+    });
+}
+
+/**
+ * The winning value of a row, or null when there is nothing to compare
+ * (fewer than two values, or every value the same)
+ */
+function bestValue(values, direction) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length < MIN_COMPARED || new Set(numbers).size === 1) return null;
+    return direction === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+}
+
+function createVehicleHeader(vehicle) {
+    const name = `${vehicle.make} ${vehicle.model}`;
+    const th = document.createElement('th');
+    th.scope = 'col';
+
+    const img = document.createElement('img');
+    setVehicleImage(img, vehicle.images && vehicle.images[0], '220px');
+    img.alt = name;
+
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = name;
+    link.addEventListener('click', e => {
+        e.preventDefault();
+        navigateToPage(`vehicle.html?id=${encodeURIComponent(vehicle.id)}`);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'compare-actions';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'compare-remove';
+    remove.textContent = t('wishlist.remove');
+    remove.addEventListener('click', () => setCompared(comparedIds.filter(id => id !== String(vehicle.id))));
+    actions.append(createWishlistToggle(vehicle.id), remove);
+
+    th.append(img, link, actions);
+    return th;
+}
@@ -0,0 +1,90 @@
+/* currency.js
+   Purpose: Format prices (stored in the base currency, PHP) in the user's preferred currency
+   Features:
+   - Reads the currency chosen on the Settings > Preferences tab (userSettings via api.js)
+   - Converts with the exchange rates served by GET /api/currency/rates
+     (cached between visits; elements marked data-price re-render when fresh rates arrive)
+   - Locale-aware formatting through Intl.NumberFormat, following the user's language
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   RATES
+   ======================================== */
+
+const BASE_CURRENCY = 'PHP';
+
+// Base-currency units per one unit of each currency, e.g. { PHP: 1, USD: 58 }
+function getExchangeRates() {
+    try {
+        const cached = JSON.parse(localStorage.getItem('exchangeRates') || 'null');
+        if (cached && cached.rates) return cached.rates;
+    } catch {
+        console.warn('[Currency] Invalid cached exchangeRates');
+    }
+    return { [BASE_CURRENCY]: 1 };
+}
+
+window.getExchangeRates = getExchangeRates;
+
+// Resolves once the current rates are cached; pages can wait on it before
+// rendering totals, but prices marked data-price refresh themselves anyway
+window.currencyReady = apiRequest('/api/currency/rates')
+    .then(doc => {
+        localStorage.setItem('exchangeRates', JSON.stringify(doc));
+        refreshPrices();
+    })
+    .catch(err => console.warn('[Currency] Using cached rates:', err.message));
+
+/* ========================================
+   PREFERENCE & FORMATTING
+   ======================================== */
+
+window.getPreferredCurrency = function () {
+    const stored = window.getSetting('preferences', 'currency', BASE_CURRENCY);
+    return getExchangeRates()[stored] ? stored : BASE_CURRENCY;
+};
+
+/**
+ * Formats an amount that is already in `currency`
+ * Uses the page language (set from Settings by navbar.js) for separators
+ * and symbol placement
+ *
+ *   formatCurrency(20690, 'USD')                    -> "$20,690"
+ *   formatCurrency(1234567, 'EUR', { compact: true }) -> "€1.2M"
+ */
+window.formatCurrency = function (amount, currency = BASE_CURRENCY, { compact = false } = {}) {
+    return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        style: 'currency',
+        currency,
+        notation: compact ? 'compact' : 'standard',
+        maximumFractionDigits: compact ? 1 : 0
+    }).format(amount);
+};
+
+/**
+ * Formats an amount in the base currency using the preferred (or given) currency
+ *
+ *   formatPrice(1200000)        -> "₱1,200,000" or "$20,690"
+ *   formatPrice(1200000, 'EUR') -> "€19,048"
+ */
+window.formatPrice = function (amountBase, currency = window.getPreferredCurrency()) {
+    const rate = getExchangeRates()[currency];
+    if (!rate) return window.formatCurrency(amountBase, BASE_CURRENCY);
+    return window.formatCurrency(Number(amountBase) / rate, currency);
+};
+
+/**
+ * Shows a base-currency price in an element and marks it so it is
+ * re-formatted when fresh rates arrive
+ */
+window.setPrice = function (element, amountBase) {
+    element.dataset.price = amountBase;
+    element.textContent = window.formatPrice(amountBase);
+};
+
+function refreshPrices() {
+    document.querySelectorAll('[data-price]').forEach(el => {
+        el.textContent = window.formatPrice(el.dataset.price);
+    });
+}
@@ -1,6 +1,8 @@
 /* editProfile.js
-  Purpose: edit profile page client logic (avatar upload, save)
-  Edited: 2025-12-11
+  Purpose: edit profile page client logic for app/views/edit-profile.html
+  (avatar upload via POST /api/me/avatar, removal via DELETE /api/me/avatar,
+  save via PUT /api/me)
+  Edited: 2026-10-19
 */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -13,8 +15,8 @@ document.addEventListener('DOMContentLoaded', () => {
   // Check if user is logged in
   const profileData = localStorage.getItem('profileData');
   if (!profileData) {
-    alert('You must be logged in to edit your profile');
-    window.location.href = 'loginPage/loginPage_fwp.html';
+    alert(t('profile.loginRequired'));
+    navigateToPage('login.html');
     return;
   }
 
@@ -27,24 +29,45 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('role').value = user.role || 'Standard Member';
   avatarUrl.value = user.avatarUrl || '';
 
+  // Shows a picture in the preview box (an element, not markup: the URL is user-supplied)
+  function showPreview(url, errorKey) {
+    const img = document.createElement('img');
+    img.src = mediaUrl(url);
+    img.alt = '';
+    img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+    img.onerror = () => { avatarPreview.textContent = t(errorKey); };
+    avatarPreview.replaceChildren(img);
+  }
+
+  function refreshNavbar() {
+    if (typeof initUserMenu === 'function') {
+      try { initUserMenu(); } catch (err) { /* ignore */ }
+    }
+  }
+
   // Display current avatar
   if (user.avatarUrl && user.avatarUrl.trim()) {
-    avatarPreview.innerHTML = `<img src="${user.avatarUrl}" style="width: 100%; height: 100%; object-fit: cover;" onerror="this.parentElement.innerHTML='Click to change'">`;
+    showPreview((user.avatarThumbnails && user.avatarThumbnails[128]) || user.avatarUrl, 'profile.clickToChange');
   }
 
-  // Handle file upload
+  // Handle file upload: the server resizes the picture and keeps only its URL
   if (avatarInput) {
     avatarInput.addEventListener('change', (e) => {
       const file = e.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          const dataUrl = event.target.result;
-          avatarUrl.value = dataUrl;
-          avatarPreview.innerHTML = `<img src="${dataUrl}" style="width: 100%; height: 100%; object-fit: cover;">`;
-        };
-        reader.readAsDataURL(file);
-      }
+      if (!file) return;
+
+      const formData = new FormData();
+      formData.append('avatar', file);
+      apiRequest('/api/me/avatar', { method: 'POST', body: formData })
+        .then(({ user: updated }) => {
+          avatarUrl.value = updated.avatarUrl;
+          if (avatarUrlInput) avatarUrlInput.value = '';
+          showPreview(updated.avatarThumbnails[128], 'profile.clickToChange');
+          return loadCurrentUser();
+        })
+        .then(refreshNavbar)
+        .catch(err => alert(err.message))
+        .finally(() => { avatarInput.value = ''; });
     });
   }
 
@@ -54,15 +77,17 @@ document.addEventListener('DOMContentLoaded', () => {
       const url = avatarUrlInput.value.trim();
       if (url) {
         avatarUrl.value = url;
-        avatarPreview.innerHTML = `<img src="${url}" style="width: 100%; height: 100%; object-fit: cover;" onerror="this.parentElement.innerHTML='Invalid image URL'">`;
+        showPreview(url, 'profile.invalidImageUrl');
       }
     });
   }
 
-  // Allow clicking on avatar preview to upload
+  // Allow clicking on avatar preview (or the Choose Image button) to upload
   avatarPreview.addEventListener('click', () => {
     avatarInput.click();
   });
+  const chooseAvatarBtn = document.getElementById('choose-avatar-btn');
+  if (chooseAvatarBtn) chooseAvatarBtn.addEventListener('click', () => avatarInput.click());
 
   // Handle remove avatar button
   const removeAvatarBtn = document.getElementById('remove-avatar-btn');
@@ -81,34 +106,16 @@ document.addEventListener('DOMContentLoaded', () => {
         // Remove any existing image inside preview
         avatarPreview.innerHTML = '';
         const initialsDiv = document.createElement('div');
-        initialsDiv.style.cssText = `width: 120px; height: 120px; border-radius: 50%; display: flex; align-items: center; justify-content: center; background: linear-gradient(135deg, #ff6b6b, #f94d6a); color: white; font-size: 32px; font-weight: 700; box-shadow: 0 6px 18px rgba(249, 77, 106, 0.25);`;
+        initialsDiv.className = 'avatar-initials';
         initialsDiv.textContent = initials;
         avatarPreview.appendChild(initialsDiv);
 
         // Persist change immediately so navbar/profile reflect removal without form submit
-        try {
-          // Update profileData in localStorage
-          const stored = JSON.parse(localStorage.getItem('profileData') || '{}');
-          if (stored) {
-            stored.avatarUrl = '';
-            localStorage.setItem('profileData', JSON.stringify(stored));
-          }
-
-          // Update the users array if present
-          const users = JSON.parse(localStorage.getItem('users') || '[]');
-          const idx = users.findIndex(u => u.id === user.id);
-          if (idx !== -1) {
-            users[idx].avatarUrl = '';
-            localStorage.setItem('users', JSON.stringify(users));
-          }
-
-          // Refresh navbar display if available
-          if (typeof initUserMenu === 'function') {
-            try { initUserMenu(); } catch (err) { /* ignore */ }
-          }
-        } catch (err) {
-          console.error('Error persisting avatar removal:', err);
-        }
+        // (an uploaded picture's files are deleted on the server too)
+        apiRequest('/api/me/avatar', { method: 'DELETE' })
+          .then(() => loadCurrentUser())
+          .then(refreshNavbar)
+          .catch(err => console.error('Error persisting avatar removal:', err));
       });
   }
 
@@ -120,58 +127,31 @@ document.addEventListener('DOMContentLoaded', () => {
     const email = document.getElementById('email').value.trim();
     const phone = document.getElementById('phone').value.trim();
     const location = document.getElementById('location').value.trim();
-    let role = document.getElementById('role').value;
     const avatarUrlValue = document.getElementById('avatarUrl').value.trim();
 
     if (!fullName || !email) {
-      alert('Please complete required fields');
+      alert(t('profile.completeRequired'));
       return;
     }
 
-    // Update user data
-    // Enforce role locking: only 'admin' and 'Hart' accounts may keep/change non-standard roles
-    const originalName = (user.fullName || '').toLowerCase();
-    const normalizedNewName = fullName.toLowerCase();
-    if (!(originalName === 'admin' || originalName === 'hart' || normalizedNewName === 'admin' || normalizedNewName === 'hart')) {
-      role = 'Standard Member';
-    }
-
-    const updatedUser = {
-      ...user,
-      fullName,
-      email,
-      phone,
-      location,
-      role,
-      avatarUrl: avatarUrlValue
-    };
-
-    // Update localStorage
-    const users = JSON.parse(localStorage.getItem('users') || '[]');
-    const userIndex = users.findIndex(u => u.id === user.id);
-    if (userIndex !== -1) {
-      users[userIndex] = updatedUser;
-      localStorage.setItem('users', JSON.stringify(users));
-    }
-
-    localStorage.setItem('profileData', JSON.stringify(updatedUser));
-    localStorage.setItem('currentUser', fullName);
-
-    alert('Profile updated successfully!');
-    window.location.href = 'profilePage_fwp.html';
+    // Role is not editable here; the server ignores it on PUT /api/me
+    apiRequest('/api/me', {
+      method: 'PUT',
+      body: { fullName, email, phone, location, avatarUrl: avatarUrlValue }
+    })
+      .then(() => loadCurrentUser())
+      .then(() => {
+        alert(t('common.profileUpdated'));
+        navigateToPage('profile.html');
+      })
+      .catch(err => alert(err.message));
   });
 
-  // Ensure role select displays selected value with red text (match register)
+  // Role select is shown in the accent color (editProfile.css, matching register)
   const roleSelectEP = document.getElementById('role');
   if (roleSelectEP) {
     const wrapperEP = roleSelectEP.closest('.select-wrapper') || roleSelectEP.parentElement;
-    function updateRoleDisplayEP() {
-      roleSelectEP.style.color = 'rgb(255,47,47)';
-    }
-    roleSelectEP.addEventListener('change', updateRoleDisplayEP);
-    roleSelectEP.addEventListener('blur', updateRoleDisplayEP);
     roleSelectEP.addEventListener('focus', () => wrapperEP && wrapperEP.classList.add('select-open'));
     roleSelectEP.addEventListener('blur', () => wrapperEP && wrapperEP.classList.remove('select-open'));
-    updateRoleDisplayEP();
   }
 });
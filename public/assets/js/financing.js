@@ -0,0 +1,499 @@
+/* financing.js
+   Purpose: Vehicle financing, backed by /api/financing
+   Features:
+   - Vehicle page (vehicle.html): amortization calculator (down payment and
+     term -> monthly payment and full schedule) priced by the server from the
+     rate tables, and a financing application on the user's reservation
+   - Profile page (profile.html): the user's applications and decisions
+   - Staff review (financing.html): approve or reject applications
+     (financing:review) and edit the rate tables (financing:configure)
+   Notes:
+   - Each part only runs when its container is on the page
+   - Amounts are typed in the user's preferred currency and sent with it;
+     the server answers in the base currency
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Everything below is rendered through t(), so wait for the catalogs
+    window.i18nReady.then(() => {
+        if (document.getElementById('financing-form')) initCalculator();
+        if (document.getElementById('my-financing')) loadMyApplications();
+        if (document.getElementById('application-filter')) initReview();
+    });
+});
+
+/* ========================================
+   SHARED HELPERS
+   ======================================== */
+
+// Base-currency amount expressed in the preferred currency, for form inputs
+function toPreferredAmount(amountBase) {
+    const rate = getExchangeRates()[getPreferredCurrency()] || 1;
+    return Math.round(amountBase / rate);
+}
+
+function termLabel(term) {
+    return t('financing.termOption', { months: term.months, apr: term.apr });
+}
+
+function applicationStatusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `application-status status-${status}`;
+    badge.textContent = t(`financing.status.${status}`);
+    return badge;
+}
+
+function setFinancingMessage(element, text, isError = false) {
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+}
+
+/* ========================================
+   CALCULATOR (vehicle.html)
+   ======================================== */
+
+let financedVehicle = null;
+let currentQuote = null;
+let quoteTimer = null;
+
+function initCalculator() {
+    const vehicleId = new URLSearchParams(window.location.search).get('id');
+    if (!vehicleId) return;
+
+    const form = document.getElementById('financing-form');
+    form.addEventListener('submit', e => e.preventDefault());
+    form.addEventListener('input', () => {
+        // Wait for typing to settle before asking the server
+        clearTimeout(quoteTimer);
+        quoteTimer = setTimeout(requestQuote, 300);
+    });
+
+    document.getElementById('application-form').addEventListener('submit', e => {
+        e.preventDefault();
+        submitApplication();
+    });
+    document.addEventListener('order:placed', loadApplyState);
+
+    Promise.all([
+        apiRequest(`/api/vehicles/${encodeURIComponent(vehicleId)}`),
+        apiRequest('/api/financing/rates'),
+        window.currencyReady
+    ])
+        .then(([vehicle, financing]) => {
+            const terms = financing.rateTables[vehicle.category] || [];
+            if (!terms.length) return;
+            financedVehicle = vehicle;
+
+            const minimum = vehicle.price * financing.minDownPaymentPercent / 100;
+            form.elements.downPayment.value = toPreferredAmount(minimum);
+            form.elements.downPayment.min = toPreferredAmount(minimum);
+            document.getElementById('financing-currency').textContent = getPreferredCurrency();
+            document.getElementById('financing-minimum').textContent = t('financing.minimumDown', {
+                percent: financing.minDownPaymentPercent,
+                amount: formatPrice(minimum)
+            });
+
+            const select = form.elements.months;
+            terms.forEach(term => select.add(new Option(termLabel(term), term.months)));
+            select.value = terms[terms.length - 1].months;
+
+            document.getElementById('financing-section').hidden = false;
+            requestQuote();
+            loadApplyState();
+        })
+        .catch(err => console.error('[Financing] Calculator unavailable:', err));
+}
+
+function requestQuote() {
+    const form = document.getElementById('financing-form');
+    const message = document.getElementById('financing-message');
+    const body = {
+        vehicleId: financedVehicle.id,
+        downPayment: Number(form.elements.downPayment.value),
+        currency: getPreferredCurrency(),
+        months: Number(form.elements.months.value)
+    };
+
+    apiRequest('/api/financing/quote', { method: 'POST', body })
+        .then(({ quote }) => {
+            currentQuote = quote;
+            setFinancingMessage(message, '');
+            renderQuote(quote);
+        })
+        .catch(err => {
+            currentQuote = null;
+            setFinancingMessage(message, err.message, true);
+            document.getElementById('financing-result').hidden = true;
+        })
+        .finally(updateApplyButton);
+}
+
+function renderQuote(quote) {
+    setPrice(document.getElementById('quote-monthly'), quote.monthlyPayment);
+    setPrice(document.getElementById('quote-principal'), quote.principal);
+    setPrice(document.getElementById('quote-interest'), quote.totalInterest);
+    setPrice(document.getElementById('quote-total'), quote.totalPaid + quote.downPayment);
+    document.getElementById('quote-terms').textContent = termLabel(quote);
+
+    const tbody = document.getElementById('schedule-body');
+    tbody.innerHTML = '';
+    quote.schedule.forEach(row => {
+        const tr = document.createElement('tr');
+        const month = document.createElement('td');
+        month.textContent = row.month;
+        tr.appendChild(month);
+        [row.payment, row.principal, row.interest, row.balance].forEach(amount => {
+            const cell = document.createElement('td');
+            setPrice(cell, amount);
+            tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById('financing-result').hidden = false;
+}
+
+/* ========================================
+   APPLY (vehicle.html)
+   ======================================== */
+
+let applyOrder = null;
+
+// Applications hang off an open reservation for this vehicle
+function loadApplyState() {
+    const hint = document.getElementById('application-hint');
+    const form = document.getElementById('application-form');
+    applyOrder = null;
+    form.hidden = true;
+
+    if (!getAuthToken()) {
+        hint.textContent = t('financing.loginToApply');
+        return;
+    }
+
+    Promise.all([apiRequest('/api/me/orders'), apiRequest('/api/me/financing/applications')])
+        .then(([orders, applications]) => {
+            const order = orders.find(o => String(o.vehicleId) === String(financedVehicle.id)
+                && ['reserved', 'confirmed'].includes(o.status));
+            if (!order) {
+                hint.textContent = t('financing.reserveFirst');
+                return;
+            }
+
+            const existing = applications.find(a => a.orderId === order.id && a.status !== 'rejected');
+            if (existing) {
+                hint.textContent = t('financing.alreadyApplied', { status: t(`financing.status.${existing.status}`) });
+                return;
+            }
+
+            applyOrder = order;
+            hint.textContent = t('financing.applyWithTerms');
+            document.getElementById('income-currency').textContent = getPreferredCurrency();
+            form.hidden = false;
+            updateApplyButton();
+        })
+        .catch(err => console.error('[Financing] Could not check reservations:', err));
+}
+
+function updateApplyButton() {
+    document.getElementById('application-submit').disabled = !applyOrder || !currentQuote;
+}
+
+function submitApplication() {
+    const form = document.getElementById('application-form');
+    const message = document.getElementById('application-message');
+    const body = {
+        orderId: applyOrder.id,
+        downPayment: Number(document.getElementById('financing-form').elements.downPayment.value),
+        months: currentQuote.months,
+        currency: getPreferredCurrency(),
+        monthlyIncome: Number(form.elements.monthlyIncome.value),
+        employmentStatus: form.elements.employmentStatus.value
+    };
+
+    document.getElementById('application-submit').disabled = true;
+    apiRequest('/api/financing/applications', { method: 'POST', body })
+        .then(() => {
+            setFinancingMessage(message, t('financing.submitted'));
+            form.reset();
+            loadApplyState();
+        })
+        .catch(err => {
+            console.error('[Financing] Application failed:', err);
+            setFinancingMessage(message, err.message, true);
+            updateApplyButton();
+        });
+}
+
+/* ========================================
+   MY APPLICATIONS (profile.html)
+   ======================================== */
+
+function loadMyApplications() {
+    const list = document.getElementById('my-financing');
+
+    apiRequest('/api/me/financing/applications')
+        .then(applications => {
+            list.innerHTML = '';
+            if (!applications.length) {
+                list.appendChild(financingEmptyNote(t('financing.noneYet')));
+                return;
+            }
+            applications.forEach(application => list.appendChild(createMyApplication(application)));
+        })
+        .catch(err => {
+            console.error('[Financing] Failed to load applications:', err);
+            list.innerHTML = '';
+            list.appendChild(financingEmptyNote(t('financing.unavailable')));
+        });
+}
+
+function financingEmptyNote(text) {
+    const note = document.createElement('p');
+    note.className = 'application-empty';
+    note.textContent = text;
+    return note;
+}
+
+function createMyApplication(application) {
+    const item = document.createElement('div');
+    item.className = `application-item status-${application.status}`;
+
+    const vehicle = document.createElement('span');
+    vehicle.className = 'vehicle';
+    vehicle.textContent = application.vehicleName;
+
+    const terms = document.createElement('span');
+    terms.className = 'application-terms';
+    terms.textContent = t('financing.monthlyFor', {
+        amount: formatPrice(application.quote.monthlyPayment),
+        terms: termLabel(application.quote)
+    });
+
+    item.append(vehicle, terms, applicationStatusBadge(application.status));
+
+    if (application.decisionNote) {
+        const note = document.createElement('p');
+        note.className = 'application-note';
+        note.textContent = application.decisionNote;
+        item.appendChild(note);
+    }
+    return item;
+}
+
+/* ========================================
+   STAFF REVIEW (financing.html)
+   ======================================== */
+
+function initReview() {
+    const filter = document.getElementById('application-filter');
+    filter.addEventListener('change', loadApplications);
+    filter.addEventListener('submit', e => e.preventDefault());
+
+    loadApplications();
+    if (hasPermission('financing:configure')) initRateEditor();
+}
+
+function loadApplications() {
+    const status = document.getElementById('application-filter').elements.status.value;
+
+    apiRequest(`/api/financing/applications${status ? `?status=${status}` : ''}`)
+        .then(applications => {
+            const tbody = document.getElementById('applications-body');
+            tbody.innerHTML = '';
+            if (!applications.length) renderApplicationsMessage(t('financing.noneMatch'));
+            applications.forEach(application => tbody.appendChild(createApplicationRow(application)));
+        })
+        .catch(err => {
+            console.error('[Financing] Failed to load applications:', err);
+            renderApplicationsMessage(err.status === 401 || err.status === 403
+                ? t('financing.staffOnly')
+                : t('financing.unavailable'));
+        });
+}
+
+function renderApplicationsMessage(message) {
+    const tbody = document.getElementById('applications-body');
+    tbody.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.textContent = message;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+}
+
+function applicationCell(text = '') {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+function createApplicationRow(application) {
+    const row = document.createElement('tr');
+
+    const customer = applicationCell(application.customerName);
+    const email = document.createElement('div');
+    email.className = 'application-subline';
+    email.textContent = application.email;
+    customer.appendChild(email);
+
+    const financed = applicationCell();
+    setPrice(financed, application.quote.principal);
+    const terms = document.createElement('div');
+    terms.className = 'application-subline';
+    terms.textContent = termLabel(application.quote);
+    financed.appendChild(terms);
+
+    const monthly = applicationCell();
+    setPrice(monthly, application.quote.monthlyPayment);
+
+    // Share of income the payment would take; staff judge affordability from it
+    const income = applicationCell();
+    setPrice(income, application.monthlyIncome);
+    const ratio = document.createElement('div');
+    ratio.className = 'application-subline';
+    ratio.textContent = t('financing.ofIncome', { percent: Math.round(application.incomeRatio * 100) });
+    income.appendChild(ratio);
+
+    const status = applicationCell();
+    status.appendChild(applicationStatusBadge(application.status));
+    if (application.decidedBy) {
+        const by = document.createElement('div');
+        by.className = 'application-subline';
+        by.textContent = application.decidedBy.fullName;
+        status.appendChild(by);
+    }
+
+    const actions = applicationCell();
+    actions.className = 'application-actions';
+    if (application.status === 'pending') {
+        ['approved', 'rejected'].forEach(decision => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = t(`financing.decide.${decision}`);
+            button.addEventListener('click', () => decideApplication(application, decision));
+            actions.appendChild(button);
+        });
+    }
+
+    row.append(customer, applicationCell(application.vehicleName), financed, monthly, income,
+        applicationCell(t(`financing.employment.${application.employmentStatus}`)), status, actions);
+    return row;
+}
+
+function decideApplication(application, decision) {
+    const note = prompt(t('financing.notePrompt', {
+        decision: t(`financing.status.${decision}`),
+        customer: application.customerName
+    }), '');
+    if (note === null) return;
+
+    apiRequest(`/api/financing/applications/${application.id}/decision`, { method: 'POST', body: { decision, note: note.trim() } })
+        .then(loadApplications)
+        .catch(err => {
+            console.error('[Financing] Decision failed:', err);
+            alert(err.message);
+        });
+}
+
+/* ========================================
+   RATE TABLES (financing.html, financing:configure)
+   ======================================== */
+
+function initRateEditor() {
+    const form = document.getElementById('rates-form');
+    const message = document.getElementById('rates-message');
+
+    apiRequest('/api/financing/rates').then(financing => {
+        form.elements.minDownPaymentPercent.value = financing.minDownPaymentPercent;
+        const tables = document.getElementById('rate-tables');
+        tables.innerHTML = '';
+        Object.keys(financing.rateTables).forEach(category => {
+            tables.appendChild(createRateTable(category, financing.rateTables[category]));
+        });
+        document.getElementById('rate-editor').hidden = false;
+    });
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const rateTables = {};
+        form.querySelectorAll('.rate-table').forEach(table => {
+            rateTables[table.dataset.category] = [...table.querySelectorAll('tbody tr')].map(row => ({
+                months: Number(row.querySelector('.rate-months').value),
+                apr: Number(row.querySelector('.rate-apr').value)
+            }));
+        });
+        const body = { minDownPaymentPercent: Number(form.elements.minDownPaymentPercent.value), rateTables };
+
+        apiRequest('/api/financing/rates', { method: 'PUT', body })
+            .then(() => setFinancingMessage(message, t('financing.ratesSaved')))
+            .catch(err => {
+                console.error('[Financing] Saving rates failed:', err);
+                setFinancingMessage(message, err.message, true);
+            });
+    });
+}
+
+function createRateTable(category, terms) {
+    const section = document.createElement('div');
+    section.className = 'rate-table';
+    section.dataset.category = category;
+
+    const heading = document.createElement('h3');
+    heading.textContent = category;
+
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    ['financing.months', 'financing.apr', ''].forEach(key => {
+        const th = document.createElement('th');
+        th.textContent = key ? t(key) : '';
+        head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    terms.forEach(term => tbody.appendChild(createRateRow(term)));
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.textContent = t('financing.addTerm');
+    add.addEventListener('click', () => tbody.appendChild(createRateRow({ months: '', apr: '' })));
+
+    section.append(heading, table, add);
+    return section;
+}
+
+function createRateRow(term) {
+    const row = document.createElement('tr');
+
+    const months = document.createElement('input');
+    months.type = 'number';
+    months.className = 'rate-months';
+    months.min = 1;
+    months.max = 120;
+    months.required = true;
+    months.value = term.months;
+    months.setAttribute('aria-label', t('financing.months'));
+
+    const apr = document.createElement('input');
+    apr.type = 'number';
+    apr.className = 'rate-apr';
+    apr.min = 0;
+    apr.max = 100;
+    apr.step = 0.01;
+    apr.required = true;
+    apr.value = term.apr;
+    apr.setAttribute('aria-label', t('financing.apr'));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = t('financing.removeTerm');
+    remove.addEventListener('click', () => row.remove());
+
+    [months, apr, remove].forEach(control => {
+        const cell = document.createElement('td');
+        cell.appendChild(control);
+        row.appendChild(cell);
+    });
+    return row;
+}
@@ -0,0 +1,98 @@
+/* i18n.js
+   Purpose: Translate pages and script messages into the user's language
+   Features:
+   - Per-locale catalogs in public/assets/i18n/{en,es,fr,de}.json (flat "page.key" entries)
+   - Elements marked data-i18n (text) or data-i18n-placeholder are translated on load
+   - t(key, params) for alerts and other script text, with {name} placeholders
+   - Missing keys fall back to English, then to the text already in the page
+   Notes:
+   - The language comes from Settings > Preferences (userSettings via api.js);
+     navbar.js calls setLanguage() when fresh settings arrive
+   - API error messages are localized by the server from the Accept-Language
+     header apiRequest sends
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   CATALOGS
+   ======================================== */
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Resolved against this script so pages at any depth find the catalogs
+const I18N_BASE = new URL('../i18n/', document.currentScript.src);
+
+const catalogs = {};
+
+function loadCatalog(language) {
+    if (!catalogs[language]) {
+        catalogs[language] = fetch(new URL(`${language}.json`, I18N_BASE))
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .catch(err => {
+                console.warn(`[i18n] Could not load ${language} catalog:`, err.message);
+                return {};
+            });
+    }
+    return catalogs[language];
+}
+
+// Active strings: the chosen language over English
+let messages = {};
+let fallbackMessages = {};
+
+function resolveLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/* ========================================
+   TRANSLATION
+   ======================================== */
+
+/**
+ * Looks up a message, filling {name} placeholders from params
+ *
+ *   t('login.enterCredentials') -> "Introduce tu correo electrónico y contraseña"
+ */
+window.t = function (key, params = {}) {
+    const template = messages[key] ?? fallbackMessages[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+/**
+ * Translates root (default: the whole document) and everything inside it
+ * Keys missing from every catalog leave the existing text alone
+ */
+window.translatePage = function (root = document) {
+    const lookup = key => messages[key] ?? fallbackMessages[key];
+    const elements = [...root.querySelectorAll('[data-i18n], [data-i18n-placeholder]')];
+    if (root.matches && root.matches('[data-i18n], [data-i18n-placeholder]')) elements.push(root);
+
+    elements.forEach(el => {
+        const text = el.dataset.i18n && lookup(el.dataset.i18n);
+        if (text) el.textContent = text;
+
+        const placeholder = el.dataset.i18nPlaceholder && lookup(el.dataset.i18nPlaceholder);
+        if (placeholder) el.placeholder = placeholder;
+    });
+};
+
+/**
+ * Switches the page to a language and re-translates it
+ * Resolves once the catalogs are loaded and the page is updated
+ */
+window.setLanguage = function (language) {
+    const lang = resolveLanguage(language);
+    document.documentElement.lang = lang;
+
+    return Promise.all([loadCatalog(lang), loadCatalog(DEFAULT_LANGUAGE)]).then(([active, english]) => {
+        // A later call may have switched language while this one loaded
+        if (document.documentElement.lang !== lang) return;
+        messages = active;
+        fallbackMessages = english;
+        window.translatePage();
+    });
+};
+
+// Resolves once the page has been translated into the saved language
+window.i18nReady = window.setLanguage(window.getSetting('preferences', 'language', DEFAULT_LANGUAGE));
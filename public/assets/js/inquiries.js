@@ -0,0 +1,349 @@
+/* inquiries.js
+   Purpose: Customer inquiries, backed by /api/inquiries
+   Features:
+   - Contact page (contact.html): inquiry form, optionally about one vehicle
+     (?vehicle=<id>); name and email come from the account when logged in
+   - Profile page (profile.html): the user's threads, with follow-up replies
+   - Staff inbox (inquiries.html): filter, assign, reply to and close threads
+     (inquiries:manage)
+   Notes:
+   - Each part only runs when its container is on the page
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Everything below is rendered through t(), so wait for the catalogs
+    window.i18nReady.then(() => {
+        if (document.getElementById('inquiry-form')) initContactForm();
+        if (document.getElementById('my-inquiries')) loadMyInquiries();
+        if (document.getElementById('inquiry-inbox')) initInbox();
+    });
+});
+
+/* ========================================
+   SHARED HELPERS
+   ======================================== */
+
+function formatInquiryDate(iso) {
+    return new Date(iso).toLocaleString(document.documentElement.lang || undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function statusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `inquiry-status status-${status}`;
+    badge.textContent = t(`inquiries.status.${status}`);
+    return badge;
+}
+
+// Message bubbles; staff messages are labelled with the staff member's name
+function renderMessages(list, inquiry) {
+    list.innerHTML = '';
+    inquiry.messages.forEach(message => {
+        const item = document.createElement('li');
+        item.className = `thread-message from-${message.from}`;
+
+        const meta = document.createElement('p');
+        meta.className = 'message-meta';
+        const author = message.from === 'staff'
+            ? t('inquiries.staffAuthor', { name: message.authorName || 'Hanire' })
+            : (message.authorName || inquiry.name);
+        meta.textContent = `${author} · ${formatInquiryDate(message.createdAt)}`;
+
+        const body = document.createElement('p');
+        body.className = 'message-body';
+        body.textContent = message.body;
+
+        item.append(meta, body);
+        list.appendChild(item);
+    });
+}
+
+function setStatusMessage(element, text, isError = false) {
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+}
+
+/* ========================================
+   CONTACT FORM (contact.html)
+   ======================================== */
+
+function initContactForm() {
+    const form = document.getElementById('inquiry-form');
+    const status = document.getElementById('inquiry-status');
+    const requested = new URLSearchParams(window.location.search).get('vehicle');
+
+    // Logged-in users send as their account
+    const profile = JSON.parse(localStorage.getItem('profileData') || 'null');
+    if (getAuthToken() && profile) {
+        form.elements.name.value = profile.fullName || '';
+        form.elements.email.value = profile.email || '';
+        form.elements.phone.value = profile.phone || '';
+        form.elements.name.readOnly = true;
+        form.elements.email.readOnly = true;
+    }
+
+    const vehicleSelect = form.elements.vehicleId;
+    apiRequest('/api/vehicles')
+        .then(vehicles => {
+            vehicles
+                .slice()
+                .sort((a, b) => `${a.make} ${a.model}`.localeCompare(`${b.make} ${b.model}`))
+                .forEach(v => vehicleSelect.add(new Option(`${v.make} ${v.model}`, v.id)));
+            if (requested && vehicles.some(v => String(v.id) === requested)) {
+                vehicleSelect.value = requested;
+                suggestSubject(form);
+            }
+        })
+        .catch(err => console.warn('[Inquiries] Vehicle list unavailable:', err.message));
+
+    vehicleSelect.addEventListener('change', () => suggestSubject(form));
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const body = {};
+        ['name', 'email', 'phone', 'vehicleId', 'subject', 'message'].forEach(key => {
+            body[key] = form.elements[key].value.trim();
+        });
+
+        if (!body.name || !body.email || !body.subject || !body.message) {
+            setStatusMessage(status, t('contact.fillRequired'), true);
+            return;
+        }
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        apiRequest('/api/inquiries', { method: 'POST', body })
+            .then(() => {
+                setStatusMessage(status, getAuthToken() ? t('contact.sentMember') : t('contact.sent'));
+                form.elements.subject.value = '';
+                form.elements.message.value = '';
+                form.elements.subject.dataset.suggested = '';
+            })
+            .catch(err => {
+                console.error('[Inquiries] Send failed:', err);
+                setStatusMessage(status, err.message, true);
+            })
+            .finally(() => { button.disabled = false; });
+    });
+}
+
+// Fills the subject from the chosen vehicle unless the user typed their own
+function suggestSubject(form) {
+    const subject = form.elements.subject;
+    if (subject.value && subject.value !== subject.dataset.suggested) return;
+
+    const option = form.elements.vehicleId.selectedOptions[0];
+    subject.value = form.elements.vehicleId.value ? t('contact.aboutVehicle', { vehicle: option.textContent }) : '';
+    subject.dataset.suggested = subject.value;
+}
+
+/* ========================================
+   MY INQUIRIES (profile.html)
+   ======================================== */
+
+function loadMyInquiries() {
+    const list = document.getElementById('my-inquiries');
+
+    apiRequest('/api/me/inquiries')
+        .then(inquiries => {
+            list.innerHTML = '';
+            if (!inquiries.length) {
+                const empty = document.createElement('p');
+                empty.className = 'inquiry-empty';
+                empty.textContent = t('inquiries.noneYet');
+                list.appendChild(empty);
+                return;
+            }
+            inquiries.forEach(inquiry => list.appendChild(createMyInquiry(inquiry)));
+        })
+        .catch(err => {
+            console.error('[Inquiries] Failed to load threads:', err);
+            list.textContent = t('inquiries.unavailable');
+        });
+}
+
+function createMyInquiry(inquiry) {
+    const thread = document.createElement('details');
+    thread.className = 'inquiry-thread';
+
+    const summary = document.createElement('summary');
+    const subject = document.createElement('span');
+    subject.className = 'inquiry-subject';
+    subject.textContent = inquiry.vehicleName ? `${inquiry.subject} (${inquiry.vehicleName})` : inquiry.subject;
+    const date = document.createElement('span');
+    date.className = 'inquiry-date';
+    date.textContent = formatInquiryDate(inquiry.updatedAt);
+    summary.append(subject, date, statusBadge(inquiry.status));
+
+    const messages = document.createElement('ol');
+    messages.className = 'thread-messages';
+    renderMessages(messages, inquiry);
+
+    thread.append(summary, messages);
+
+    if (inquiry.status !== 'closed') {
+        const form = document.createElement('form');
+        form.className = 'reply-form';
+        const text = document.createElement('textarea');
+        text.name = 'message';
+        text.rows = 3;
+        text.maxLength = 2000;
+        text.placeholder = t('inquiries.followUpPlaceholder');
+        const send = document.createElement('button');
+        send.type = 'submit';
+        send.textContent = t('inquiries.send');
+        const status = document.createElement('p');
+        status.className = 'form-status';
+        form.append(text, send, status);
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            if (!text.value.trim()) return;
+            apiRequest(`/api/me/inquiries/${inquiry.id}/messages`, { method: 'POST', body: { message: text.value.trim() } })
+                .then(() => loadMyInquiries())
+                .catch(err => setStatusMessage(status, err.message, true));
+        });
+        thread.appendChild(form);
+    }
+
+    return thread;
+}
+
+/* ========================================
+   STAFF INBOX (inquiries.html)
+   ======================================== */
+
+let selectedInquiryId = null;
+let assignees = [];
+
+function initInbox() {
+    const filter = document.getElementById('inbox-filter');
+    filter.addEventListener('change', loadInbox);
+    filter.addEventListener('submit', e => e.preventDefault());
+
+    document.getElementById('reply-form').addEventListener('submit', e => {
+        e.preventDefault();
+        const message = e.target.elements.message.value.trim();
+        if (!message) return;
+        inboxAction(`/api/inquiries/${selectedInquiryId}/reply`, 'POST', { message })
+            .then(ok => { if (ok) e.target.elements.message.value = ''; });
+    });
+
+    document.getElementById('thread-close').addEventListener('click', () => {
+        if (confirm(t('inquiries.confirmClose'))) inboxAction(`/api/inquiries/${selectedInquiryId}/close`, 'POST');
+    });
+
+    document.getElementById('thread-assignee').addEventListener('change', e => {
+        inboxAction(`/api/inquiries/${selectedInquiryId}/assign`, 'PUT', { userId: e.target.value || null });
+    });
+
+    apiRequest('/api/inquiries/assignees')
+        .then(staff => { assignees = staff; })
+        .catch(err => console.warn('[Inquiries] Assignee list unavailable:', err.message))
+        .finally(loadInbox);
+}
+
+function loadInbox() {
+    const filter = document.getElementById('inbox-filter');
+    const params = new URLSearchParams();
+    ['status', 'assigned'].forEach(key => {
+        if (filter.elements[key].value) params.set(key, filter.elements[key].value);
+    });
+
+    apiRequest(`/api/inquiries?${params}`)
+        .then(renderInbox)
+        .catch(err => {
+            console.error('[Inquiries] Failed to load inbox:', err);
+            renderInboxMessage(err.status === 401 || err.status === 403
+                ? t('inquiries.staffOnly')
+                : t('inquiries.unavailable'));
+        });
+}
+
+function renderInboxMessage(message) {
+    const list = document.getElementById('inquiry-inbox');
+    list.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'inbox-empty';
+    item.textContent = message;
+    list.appendChild(item);
+}
+
+function renderInbox(inquiries) {
+    const list = document.getElementById('inquiry-inbox');
+    list.innerHTML = '';
+    if (!inquiries.length) renderInboxMessage(t('inquiries.noneMatch'));
+
+    inquiries.forEach(inquiry => {
+        const item = document.createElement('li');
+        item.className = 'inbox-item';
+        item.dataset.id = inquiry.id;
+        item.classList.toggle('selected', inquiry.id === selectedInquiryId);
+        item.tabIndex = 0;
+
+        const subject = document.createElement('strong');
+        subject.textContent = inquiry.subject;
+        const from = document.createElement('span');
+        from.className = 'inbox-from';
+        from.textContent = inquiry.assignedTo
+            ? `${inquiry.name} → ${inquiry.assignedTo.fullName}`
+            : inquiry.name;
+        const date = document.createElement('span');
+        date.className = 'inquiry-date';
+        date.textContent = formatInquiryDate(inquiry.updatedAt);
+
+        item.append(subject, statusBadge(inquiry.status), from, date);
+        item.addEventListener('click', () => showThread(inquiry));
+        item.addEventListener('keydown', e => { if (e.key === 'Enter') showThread(inquiry); });
+        list.appendChild(item);
+    });
+}
+
+function showThread(inquiry) {
+    selectedInquiryId = inquiry.id;
+    document.querySelectorAll('.inbox-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.id === String(inquiry.id));
+    });
+
+    document.getElementById('thread-subject').textContent = inquiry.subject;
+    document.getElementById('thread-name').textContent = inquiry.name;
+    document.getElementById('thread-email').textContent = inquiry.email;
+    document.getElementById('thread-phone').textContent = inquiry.phone || '-';
+    document.getElementById('thread-vehicle').textContent = inquiry.vehicleName || t('contact.generalQuestion');
+
+    const status = document.getElementById('thread-status');
+    status.innerHTML = '';
+    status.appendChild(statusBadge(inquiry.status));
+
+    const select = document.getElementById('thread-assignee');
+    select.innerHTML = '';
+    select.add(new Option(t('inquiries.unassigned'), ''));
+    assignees.forEach(staff => select.add(new Option(staff.fullName, staff.id)));
+    select.value = inquiry.assignedTo ? String(inquiry.assignedTo.id) : '';
+
+    renderMessages(document.getElementById('thread-messages'), inquiry);
+
+    const closed = inquiry.status === 'closed';
+    const form = document.getElementById('reply-form');
+    form.querySelectorAll('textarea, button').forEach(el => { el.disabled = closed; });
+    setStatusMessage(document.getElementById('reply-status'), closed ? t('inquiries.closedNote') : '');
+
+    document.getElementById('inbox-thread').hidden = false;
+}
+
+// Runs a staff action, shows the updated thread and refreshes the inbox;
+// resolves true on success
+function inboxAction(url, method, body) {
+    const status = document.getElementById('reply-status');
+    return apiRequest(url, { method, body })
+        .then(({ inquiry }) => {
+            showThread(inquiry);
+            loadInbox();
+            return true;
+        })
+        .catch(err => {
+            console.error('[Inquiries] Action failed:', err);
+            setStatusMessage(status, err.message, true);
+            return false;
+        });
+}
@@ -1,26 +1,16 @@
 /* loginPage_fwp.js
-   Purpose: LocalStorage-only login system
-   Edited: 2025-12-18
+   Purpose: Login page — authenticates against POST /api/login
+   Notes:
+   - Stores only the server-issued JWT (authToken); profileData is rebuilt from GET /api/me
+   - Passwords are never written to browser storage
+   - Accounts with two-factor authentication are asked for an authenticator
+     or recovery code and the login is retried with it
+   Edited: 2026-10-19
 */
 
 document.addEventListener('DOMContentLoaded', () => {
   const submitBtn = document.getElementById('submit-btn');
 
-  // Seed admin account if users do not exist
-  if (!localStorage.getItem('users')) {
-    localStorage.setItem('users', JSON.stringify([{
-      id: 'admin',
-      fullName: 'Admin',
-      email: 'admin@local',
-      phone: '',
-      location: '',
-      role: 'Administrator',
-      avatarUrl: '',
-      memberSince: '2020-01',
-      password: 'admin'
-    }]));
-  }
-
   submitBtn.addEventListener('click', (event) => {
     event.preventDefault();
 
@@ -28,46 +18,44 @@ document.addEventListener('DOMContentLoaded', () => {
     const password = document.getElementById('password').value;
 
     if (!identifier || !password) {
-      alert('Please enter email and password');
+      alert(t('login.enterCredentials'));
       return;
     }
 
-    const users = JSON.parse(localStorage.getItem('users') || '[]');
-
-    let user = null;
+    submitBtn.disabled = true;
+
+    signIn({ username: identifier, password })
+      .then(({ token }) => {
+        saveSession(token);
+        return loadCurrentUser();
+      })
+      .then(user => {
+        // Set by an admin's forced reset: the password just used is temporary
+        if (user.passwordResetRequired) {
+          alert(t('login.passwordWasReset'));
+          window.location.href = '/app/views/settings.html';
+          return;
+        }
+        window.location.href = '/index.html';
+      })
+      .catch(err => {
+        if (!err.cancelled) alert(err.status === 401 && !err.data.twoFactorRequired ? t('login.invalidCredentials') : err.message);
+        submitBtn.disabled = false;
+      });
+  });
+});
 
-    if (identifier.toLowerCase() === 'admin' || identifier.toLowerCase() === 'admin@local') {
-      user = users.find(u => u.id === 'admin');
-    } else {
-      if (!identifier.includes('@')) {
-        alert('Please log in using your email address');
-        return;
-      }
-      user = users.find(u => u.email.toLowerCase() === identifier.toLowerCase());
-    }
+// POST /api/login, prompting for a 2FA code when the server asks for one
+function signIn(credentials) {
+  return apiRequest('/api/login', { method: 'POST', body: credentials }).catch(err => {
+    if (!err.data || !err.data.twoFactorRequired || credentials.otp) throw err;
 
-    if (!user || user.password !== password) {
-      alert('Invalid login credentials');
-      return;
+    const otp = prompt(t('login.enterOtp'));
+    if (!otp) {
+      const cancelled = new Error('Sign-in cancelled');
+      cancelled.cancelled = true;
+      throw cancelled;
     }
-
-    // Role sanitization
-    users.forEach(u => {
-      const n = (u.fullName || '').toLowerCase();
-      if (n !== 'admin' && n !== 'hart') u.role = 'Standard Member';
-    });
-    localStorage.setItem('users', JSON.stringify(users));
-
-    const token = btoa(JSON.stringify({
-      id: user.id,
-      email: user.email,
-      exp: Date.now() + 7 * 86400000
-    }));
-
-    localStorage.setItem('currentUser', user.fullName);
-    localStorage.setItem('profileData', JSON.stringify(user));
-    localStorage.setItem('authToken', token);
-
-    window.location.href = '/index.html';
+    return signIn({ ...credentials, otp: otp.trim() });
   });
-});
+}
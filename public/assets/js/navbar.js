@@ -3,9 +3,13 @@
    Features:
    - Auto-detect current page location (root vs app/views/)
    - Route all navbar links correctly based on location
-   - Handle user authentication state
+   - Handle user authentication state (session refreshed from GET /api/me via api.js)
+   - Hide links and controls marked data-permission the session doesn't grant
+   - Apply the user's theme and language settings to every page, theme before
+     first paint (load this script in <head> without defer); translation itself
+     is done by i18n.js
    - Mobile hamburger menu
-   Edited: 2025-12-18
+   Edited: 2026-10-19
 */
 
 /* ========================================
@@ -40,6 +44,52 @@ window.navigateToPage = function (targetPage) {
 
 var navigateToPage = window.navigateToPage;
 
+/* ========================================
+   THEME & LANGUAGE
+   ======================================== */
+
+const lightSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+// Preferences cached by saveSettings / loadSettings in api.js
+function savedPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem('userSettings') || '{}').preferences || {};
+    } catch {
+        console.warn('[Navbar] Invalid userSettings');
+        return {};
+    }
+}
+
+// data-theme="dark|light" on <html> selects the palette in shared.css;
+// "auto" resolves from the OS color scheme. Scripts that paint with the
+// theme colors themselves (the analytics charts) listen for theme:change
+function applyTheme() {
+    const theme = savedPreferences().theme || 'dark';
+    const prefersLight = Boolean(lightSchemeQuery && lightSchemeQuery.matches);
+    const resolved = theme === 'auto' ? (prefersLight ? 'light' : 'dark') : theme;
+    if (document.documentElement.dataset.theme === resolved) return;
+
+    document.documentElement.dataset.theme = resolved;
+    document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme: resolved } }));
+}
+
+// Applies the cached settings to <html>: theme and lang="en|es|fr|de"
+window.applyUserSettings = function () {
+    applyTheme();
+
+    // i18n.js re-translates the page; before it has loaded, only lang is set
+    const language = savedPreferences().language || 'en';
+    if (window.setLanguage) window.setLanguage(language);
+    else document.documentElement.lang = language;
+};
+
+// navbar.js is loaded from <head> without defer, so this runs before the
+// body is parsed and the first paint already uses the saved theme
+applyUserSettings();
+
+// "Auto" follows the OS switching between light and dark while the page is open
+if (lightSchemeQuery) lightSchemeQuery.addEventListener('change', applyTheme);
+
 /* ========================================
    LOAD NAVBAR
    ======================================== */
@@ -52,21 +102,33 @@ document.addEventListener('DOMContentLoaded', () => {
         '../navbar.html'
     ];
 
-    (function tryFetch(index = 0) {
-        if (index >= paths.length) return;
+    // Pages without a <nav> placeholder (login, password reset) only get
+    // the theme and language
+    function tryFetch(index = 0) {
+        if (index >= paths.length || !document.querySelector('nav')) return;
 
         fetch(paths[index])
             .then(res => res.ok ? res.text() : Promise.reject())
             .then(html => {
-                const nav = document.querySelector('nav');
-                if (nav) nav.outerHTML = html;
-                else document.body.insertAdjacentHTML('afterbegin', html);
+                document.querySelector('nav').outerHTML = html;
 
                 attachNavbarLinkHandlers();
+                applyPermissions();
+                if (window.translatePage) translatePage(document.querySelector('nav'));
                 initUserMenu();
             })
             .catch(() => tryFetch(index + 1));
-    })();
+    }
+
+    // Rebuild profileData and settings from the server before drawing the
+    // user menu, so a stale or revoked session never shows as logged in
+    if (window.getAuthToken && getAuthToken()) {
+        Promise.all([loadCurrentUser(), loadSettings().then(applyUserSettings)])
+            .catch(err => console.warn('[Navbar] Session refresh failed:', err.message))
+            .finally(() => tryFetch());
+    } else {
+        tryFetch();
+    }
 });
 
 /* ========================================
@@ -86,6 +148,19 @@ function attachNavbarLinkHandlers() {
     });
 }
 
+/* ========================================
+   PERMISSION-BASED VISIBILITY
+   ======================================== */
+
+// Elements with data-permission="<permission>" (navbar links, page buttons)
+// are hidden unless the session's role grants that permission
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        const allowed = window.hasPermission && hasPermission(el.dataset.permission);
+        el.hidden = !allowed;
+    });
+}
+
 /* ========================================
    USER MENU INITIALIZATION
    ======================================== */
@@ -109,7 +184,9 @@ function initUserMenu() {
         try {
             const profile = JSON.parse(profileDataRaw);
             displayName = profile.fullName || currentUser;
-            avatarUrl = profile.avatarUrl || null;
+            // Uploaded pictures come with a small thumbnail made for the navbar
+            avatarUrl = (profile.avatarThumbnails && profile.avatarThumbnails[64]) || profile.avatarUrl || null;
+            if (avatarUrl && window.mediaUrl) avatarUrl = mediaUrl(avatarUrl);
         } catch {
             console.warn('[Navbar] Invalid profileData');
         }
@@ -135,22 +212,33 @@ function initUserMenu() {
 
     if (currentUser) {
         if (usernameDisplay) {
+            // Shows the user's name, so it must not be re-translated to "Login"
+            delete usernameDisplay.dataset.i18n;
+
+            // Built with textContent / properties: the name and picture URL are user-supplied
+            const wrapper = document.createElement('div');
+            wrapper.style.cssText = 'display:flex;align-items:center;gap:8px;';
+
+            const initials = document.createElement('span');
+            initials.className = 'user-initials';
+            initials.textContent = initialsFrom(displayName);
+            initials.style.background = colorFromName(displayName);
+
+            const name = document.createElement('span');
+            name.className = 'user-name';
+            name.textContent = displayName;
+
             if (avatarUrl) {
-                usernameDisplay.innerHTML = `
-                    <div style="display:flex;align-items:center;gap:8px;">
-                        <img src="${avatarUrl}" alt="${displayName}" class="user-avatar-img">
-                        <span class="user-name">${displayName}</span>
-                    </div>`;
+                const img = document.createElement('img');
+                img.className = 'user-avatar-img';
+                img.src = avatarUrl;
+                img.alt = displayName;
+                img.onerror = () => img.replaceWith(initials);
+                wrapper.append(img, name);
             } else {
-                const initials = initialsFrom(displayName);
-                usernameDisplay.innerHTML = `
-                    <div style="display:flex;align-items:center;gap:8px;">
-                        <span class="user-initials">${initials}</span>
-                        <span class="user-name">${displayName}</span>
-                    </div>`;
-                usernameDisplay.querySelector('.user-initials').style.background =
-                    colorFromName(displayName);
+                wrapper.append(initials, name);
             }
+            usernameDisplay.replaceChildren(wrapper);
         }
 
         profileLink && (profileLink.style.display = 'block');
@@ -174,7 +262,7 @@ function initUserMenu() {
     /* ---------- NOT LOGGED IN ---------- */
 
     else {
-        usernameDisplay && (usernameDisplay.textContent = 'Login');
+        usernameDisplay && (usernameDisplay.textContent = t('nav.login'));
         profileLink && (profileLink.style.display = 'none');
         settingsLink && (settingsLink.style.display = 'none');
         logoutBtn && (logoutBtn.style.display = 'none');
@@ -200,10 +288,14 @@ function initUserMenu() {
     logoutBtn?.addEventListener('click', e => {
         e.preventDefault();
 
-        // DO NOT DELETE REGISTERED USERS
-        localStorage.removeItem('currentUser');
-        localStorage.removeItem('profileData');
-        localStorage.removeItem('authToken');
+        // Accounts live on the server; only the local session is dropped
+        if (window.clearSession) {
+            clearSession();
+        } else {
+            localStorage.removeItem('currentUser');
+            localStorage.removeItem('profileData');
+            localStorage.removeItem('authToken');
+        }
 
         navigateToPage('login.html');
     });
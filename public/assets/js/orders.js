@@ -0,0 +1,355 @@
+/* orders.js
+   Purpose: Vehicle reservations and order tracking, backed by /api/orders
+   Features:
+   - Vehicle page (vehicle.html): reserve the vehicle — shows the deposit due
+     and how long the unit is held
+   - Profile page (profile.html): the user's orders with their status history,
+     and cancel while a reservation still awaits its deposit
+   - Staff orders page (orders.html): filter by status, move orders along
+     (orders:manage), and the deposit / hold policy (inventory:manage)
+   Notes:
+   - Each part only runs when its container is on the page
+   - Which status can follow which is decided by the server; ORDER_NEXT_STATUSES
+     only picks the buttons to show
+   - A new reservation is announced with an "order:placed" event so the
+     financing calculator can offer to apply straight away
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Everything below is rendered through t(), so wait for the catalogs
+    window.i18nReady.then(() => {
+        if (document.getElementById('reserve-form')) initReservation();
+        if (document.getElementById('my-orders')) loadMyOrders();
+        if (document.getElementById('order-filter')) initStaffOrders();
+    });
+});
+
+/* ========================================
+   SHARED HELPERS
+   ======================================== */
+
+// Mirrors ORDER_TRANSITIONS in server.js
+const ORDER_NEXT_STATUSES = {
+    reserved: ['confirmed', 'cancelled'],
+    confirmed: ['paid', 'cancelled'],
+    paid: ['delivered', 'cancelled']
+};
+
+function formatOrderDate(iso) {
+    return new Date(iso).toLocaleString(document.documentElement.lang || undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function orderStatusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `order-status status-${status}`;
+    badge.textContent = t(`orders.status.${status}`);
+    return badge;
+}
+
+function setOrderMessage(element, text, isError = false) {
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+}
+
+/* ========================================
+   RESERVE (vehicle.html)
+   ======================================== */
+
+function initReservation() {
+    const vehicleId = new URLSearchParams(window.location.search).get('id');
+    if (!vehicleId) return;
+
+    const form = document.getElementById('reserve-form');
+    const submit = document.getElementById('reserve-submit');
+
+    if (!getAuthToken()) {
+        submit.textContent = t('orders.loginToReserve');
+        form.elements.country.required = false;
+    } else {
+        const profile = JSON.parse(localStorage.getItem('profileData') || '{}');
+        form.elements.country.value = profile.location || '';
+    }
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!getAuthToken()) {
+            navigateToPage('login.html');
+            return;
+        }
+        reserveVehicle(vehicleId);
+    });
+
+    Promise.all([apiRequest(`/api/vehicles/${encodeURIComponent(vehicleId)}`), apiRequest('/api/orders/settings')])
+        .then(([vehicle, settings]) => showReservationTerms(vehicle, settings))
+        .catch(err => console.error('[Orders] Reservation unavailable:', err));
+}
+
+function showReservationTerms(vehicle, settings) {
+    const terms = document.getElementById('reserve-terms');
+    terms.textContent = t('orders.terms', { percent: settings.depositPercent, hours: settings.holdHours });
+
+    setPrice(document.getElementById('reserve-deposit'), Math.round(vehicle.price * settings.depositPercent) / 100);
+
+    const soldOut = !(vehicle.stock > 0);
+    document.getElementById('reserve-submit').disabled = soldOut;
+    if (soldOut) setOrderMessage(document.getElementById('reserve-message'), t('orders.soldOut'), true);
+
+    document.getElementById('reserve-section').hidden = false;
+}
+
+function reserveVehicle(vehicleId) {
+    const form = document.getElementById('reserve-form');
+    const submit = document.getElementById('reserve-submit');
+    const message = document.getElementById('reserve-message');
+
+    submit.disabled = true;
+    apiRequest('/api/orders', { method: 'POST', body: { vehicleId, country: form.elements.country.value.trim() } })
+        .then(({ order }) => {
+            setOrderMessage(message, t('orders.reservedUntil', { when: formatOrderDate(order.holdExpiresAt) }));
+            document.getElementById('reserve-track').hidden = false;
+            document.dispatchEvent(new CustomEvent('order:placed', { detail: order }));
+        })
+        .catch(err => {
+            console.error('[Orders] Reservation failed:', err);
+            setOrderMessage(message, err.message, true);
+            submit.disabled = false;
+        });
+}
+
+/* ========================================
+   MY ORDERS (profile.html)
+   ======================================== */
+
+function loadMyOrders() {
+    const list = document.getElementById('my-orders');
+
+    apiRequest('/api/me/orders')
+        .then(orders => {
+            list.innerHTML = '';
+            if (!orders.length) {
+                list.appendChild(orderEmptyNote(t('orders.noneYet')));
+                return;
+            }
+            orders.forEach(order => list.appendChild(createMyOrder(order)));
+        })
+        .catch(err => {
+            console.error('[Orders] Failed to load orders:', err);
+            list.innerHTML = '';
+            list.appendChild(orderEmptyNote(t('orders.unavailable')));
+        });
+}
+
+function orderEmptyNote(text) {
+    const note = document.createElement('p');
+    note.className = 'order-empty';
+    note.textContent = text;
+    return note;
+}
+
+function createMyOrder(order) {
+    const item = document.createElement('div');
+    item.className = `order-item status-${order.status}`;
+
+    const header = document.createElement('div');
+    header.className = 'order-header';
+
+    const vehicle = document.createElement('a');
+    vehicle.className = 'vehicle';
+    vehicle.href = '#';
+    vehicle.textContent = order.vehicleName;
+    vehicle.addEventListener('click', e => {
+        e.preventDefault();
+        navigateToPage(`vehicle.html?id=${encodeURIComponent(order.vehicleId)}`);
+    });
+
+    const price = document.createElement('span');
+    price.className = 'price';
+    setPrice(price, order.price);
+
+    header.append(vehicle, orderStatusBadge(order.status), price);
+
+    const details = document.createElement('p');
+    details.className = 'order-details';
+    details.textContent = order.status === 'reserved'
+        ? t('orders.depositDueBy', { deposit: formatPrice(order.deposit), when: formatOrderDate(order.holdExpiresAt) })
+        : t('orders.orderNumber', { id: order.id });
+
+    item.append(header, details, createOrderHistory(order));
+
+    if (order.status === 'reserved') {
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'order-cancel';
+        cancel.textContent = t('orders.cancelReservation');
+        cancel.addEventListener('click', () => cancelMyOrder(order));
+        item.appendChild(cancel);
+    }
+
+    return item;
+}
+
+// Timeline of every status the order has been through, oldest first
+function createOrderHistory(order) {
+    const list = document.createElement('ol');
+    list.className = 'order-history';
+    order.history.forEach(entry => {
+        const step = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = t(`orders.status.${entry.status}`);
+        const when = document.createElement('span');
+        when.className = 'order-date';
+        when.textContent = formatOrderDate(entry.at);
+        step.append(label, when);
+
+        if (entry.note) {
+            const note = document.createElement('span');
+            note.className = 'order-note';
+            note.textContent = entry.note;
+            step.appendChild(note);
+        }
+        list.appendChild(step);
+    });
+    return list;
+}
+
+function cancelMyOrder(order) {
+    if (!confirm(t('orders.confirmCancel', { vehicle: order.vehicleName }))) return;
+
+    apiRequest(`/api/orders/${order.id}/cancel`, { method: 'POST' })
+        .then(loadMyOrders)
+        .catch(err => {
+            console.error('[Orders] Cancel failed:', err);
+            alert(err.message);
+        });
+}
+
+/* ========================================
+   STAFF ORDERS (orders.html)
+   ======================================== */
+
+function initStaffOrders() {
+    const filter = document.getElementById('order-filter');
+    filter.addEventListener('change', loadOrders);
+    filter.addEventListener('submit', e => e.preventDefault());
+
+    loadOrders();
+    if (hasPermission('inventory:manage')) initCheckoutSettings();
+}
+
+function loadOrders() {
+    const status = document.getElementById('order-filter').elements.status.value;
+
+    apiRequest(`/api/orders${status ? `?status=${status}` : ''}`)
+        .then(orders => {
+            const tbody = document.getElementById('orders-body');
+            tbody.innerHTML = '';
+            if (!orders.length) renderOrdersMessage(t('orders.noneMatch'));
+            orders.forEach(order => tbody.appendChild(createOrderRow(order)));
+        })
+        .catch(err => {
+            console.error('[Orders] Failed to load orders:', err);
+            renderOrdersMessage(err.status === 401 || err.status === 403
+                ? t('orders.staffOnly')
+                : t('orders.unavailable'));
+        });
+}
+
+function renderOrdersMessage(message) {
+    const tbody = document.getElementById('orders-body');
+    tbody.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.textContent = message;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+}
+
+function orderCell(text = '') {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+// Smaller second line inside a cell
+function orderSubline(text) {
+    const line = document.createElement('div');
+    line.className = 'order-date';
+    line.textContent = text;
+    return line;
+}
+
+function createOrderRow(order) {
+    const row = document.createElement('tr');
+
+    const customer = orderCell(order.customerName);
+    customer.appendChild(orderSubline(order.email));
+
+    const price = orderCell();
+    setPrice(price, order.price);
+    const deposit = orderCell();
+    setPrice(deposit, order.deposit);
+
+    const status = orderCell();
+    status.appendChild(orderStatusBadge(order.status));
+    if (order.status === 'reserved') {
+        status.appendChild(orderSubline(t('orders.heldUntil', { when: formatOrderDate(order.holdExpiresAt) })));
+    }
+
+    const actions = orderCell();
+    actions.className = 'order-actions';
+    (ORDER_NEXT_STATUSES[order.status] || []).forEach(next => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = t(`orders.markAs.${next}`);
+        button.addEventListener('click', () => changeOrderStatus(order, next));
+        actions.appendChild(button);
+    });
+
+    row.append(orderCell(`#${order.id}`), customer, orderCell(order.vehicleName), price, deposit, status,
+        orderCell(formatOrderDate(order.updatedAt)), actions);
+    return row;
+}
+
+// The optional note goes into the order history and the customer's email
+function changeOrderStatus(order, status) {
+    const note = prompt(t('orders.notePrompt', { status: t(`orders.status.${status}`), vehicle: order.vehicleName }), '');
+    if (note === null) return;
+
+    apiRequest(`/api/orders/${order.id}/status`, { method: 'POST', body: { status, note: note.trim() } })
+        .then(loadOrders)
+        .catch(err => {
+            console.error('[Orders] Status change failed:', err);
+            alert(err.message);
+        });
+}
+
+/* ========================================
+   CHECKOUT POLICY (orders.html, inventory:manage)
+   ======================================== */
+
+function initCheckoutSettings() {
+    const form = document.getElementById('checkout-form');
+    const message = document.getElementById('checkout-message');
+
+    apiRequest('/api/orders/settings').then(settings => {
+        form.elements.depositPercent.value = settings.depositPercent;
+        form.elements.holdHours.value = settings.holdHours;
+        document.getElementById('checkout-settings').hidden = false;
+    });
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const body = {
+            depositPercent: Number(form.elements.depositPercent.value),
+            holdHours: Number(form.elements.holdHours.value)
+        };
+        apiRequest('/api/orders/settings', { method: 'PUT', body })
+            .then(() => setOrderMessage(message, t('orders.policySaved')))
+            .catch(err => {
+                console.error('[Orders] Saving the policy failed:', err);
+                setOrderMessage(message, err.message, true);
+            });
+    });
+}
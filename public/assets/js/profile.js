@@ -23,16 +23,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const initials = user.fullName.split(' ').map(n => n[0]).join('').toUpperCase();
     const div = document.createElement('div');
     div.id = 'profile-initials-div';
-    div.style.cssText =
-      'width:150px;height:150px;border-radius:50%;display:flex;align-items:center;justify-content:center;' +
-      'background:#ff4d4d;color:#fff;font-size:48px;font-weight:bold;margin-bottom:20px;';
+    div.className = 'profile-initials';
     div.textContent = initials;
 
     document.querySelector('.profile-header').prepend(div);
   }
 
   if (user.avatarUrl) {
-    avatar.src = user.avatarUrl;
+    avatar.src = mediaUrl((user.avatarThumbnails && user.avatarThumbnails[256]) || user.avatarUrl);
     avatar.onerror = showInitials;
   } else showInitials();
 });
@@ -1,24 +1,32 @@
 /* register.js
-   Purpose: LocalStorage-only registration
-   Edited: 2025-12-18
+   Purpose: Registration page — creates the account through POST /api/register
+   Notes:
+   - The password goes to the server (bcrypt-hashed there) and is never stored in the browser
+   - On success the returned JWT is stored and profileData is rebuilt from GET /api/me
+   - Role is assigned by the server (new accounts are Standard Members)
+   - A chosen picture is uploaded to POST /api/me/avatar once the account
+     exists; a pasted link is sent with the registration instead
+   Edited: 2026-10-19
 */
 
 document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('register-form');
   const avatarInput = document.getElementById('avatarInput');
   const avatarPreview = document.getElementById('avatar-preview');
-  const avatarHidden = document.getElementById('avatarUrl');
+  const avatarUrlInput = document.getElementById('avatarUrlInput');
+  let avatarFile = null;
 
+  // Local preview only; the file itself is uploaded after registration
   if (avatarInput) {
     avatarInput.addEventListener('change', e => {
-      const file = e.target.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = ev => {
-        avatarHidden.value = ev.target.result;
-        avatarPreview.innerHTML = `<img src="${ev.target.result}" style="width:100%;height:100%;object-fit:cover;">`;
-      };
-      reader.readAsDataURL(file);
+      avatarFile = e.target.files[0] || null;
+      if (!avatarFile) return;
+      const img = document.createElement('img');
+      img.src = URL.createObjectURL(avatarFile);
+      img.alt = '';
+      img.style.cssText = 'width:100%;height:100%;object-fit:cover;';
+      img.onload = () => URL.revokeObjectURL(img.src);
+      avatarPreview.replaceChildren(img);
     });
   }
 
@@ -29,52 +37,50 @@ document.addEventListener('DOMContentLoaded', () => {
     const email = document.getElementById('email').value.trim();
     const phone = document.getElementById('phone').value.trim();
     const location = document.getElementById('location').value.trim();
-    let role = document.getElementById('role').value;
     const password = document.getElementById('password').value;
     const confirm = document.getElementById('confirm').value;
-    const avatarUrl = avatarHidden.value;
+    const avatarUrl = avatarFile || !avatarUrlInput ? '' : avatarUrlInput.value.trim();
 
     if (!fullName || !email || !password) {
-      alert('Missing required fields');
+      alert(t('register.missingFields'));
       return;
     }
 
     if (password !== confirm) {
-      alert('Passwords do not match');
+      alert(t('common.passwordsDoNotMatch'));
       return;
     }
 
-    const users = JSON.parse(localStorage.getItem('users') || '[]');
-    if (users.find(u => u.email.toLowerCase() === email.toLowerCase())) {
-      alert('Email already registered');
-      return;
-    }
-
-    const normalized = fullName.toLowerCase();
-    if (normalized !== 'admin' && normalized !== 'hart') role = 'Standard Member';
-
-    const now = new Date();
-    const memberSince = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
 
-    const user = {
-      id: Date.now(),
-      fullName,
-      email,
-      phone,
-      location,
-      role,
-      avatarUrl,
-      memberSince,
-      password
-    };
-
-    users.push(user);
-    localStorage.setItem('users', JSON.stringify(users));
-
-    localStorage.setItem('currentUser', user.fullName);
-    localStorage.setItem('profileData', JSON.stringify(user));
-    localStorage.setItem('authToken', btoa(JSON.stringify({ id: user.id })));
-
-    window.location.href = '/index.html';
+    apiRequest('/api/register', {
+      method: 'POST',
+      body: { fullName, email, phone, location, avatarUrl, password }
+    })
+      .then(({ token }) => {
+        saveSession(token);
+        return avatarFile ? uploadAvatar(avatarFile) : null;
+      })
+      .then(() => loadCurrentUser())
+      .then(() => {
+        window.location.href = '/index.html';
+      })
+      .catch(err => {
+        alert(err.message);
+        submitBtn.disabled = false;
+      });
   });
 });
+
+/**
+ * Uploads the picture chosen on the form for the new account
+ * A rejected picture doesn't undo the registration: the user can pick
+ * another one from their profile
+ */
+function uploadAvatar(file) {
+  const formData = new FormData();
+  formData.append('avatar', file);
+  return apiRequest('/api/me/avatar', { method: 'POST', body: formData })
+    .catch(err => alert(err.message));
+}
@@ -0,0 +1,49 @@
+/* resetPassword.js
+   Purpose: Forgot-password flow on reset-password.html
+   Notes:
+   - Without ?token= the page requests a reset link (POST /api/password/forgot);
+     in development the email lands in the server's outbox.log
+   - With ?token= it sets the new password (POST /api/password/reset);
+     tokens are single-use and expire after 30 minutes
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const forgotForm = document.getElementById('forgot-form');
+  const resetForm = document.getElementById('reset-form');
+
+  if (token) {
+    forgotForm.hidden = true;
+    resetForm.hidden = false;
+  }
+
+  forgotForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const email = document.getElementById('forgot-email').value.trim();
+    const submitBtn = forgotForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    apiRequest('/api/password/forgot', { method: 'POST', body: { email } })
+      .then(({ message }) => alert(message))
+      .catch(err => alert(err.message))
+      .finally(() => { submitBtn.disabled = false; });
+  });
+
+  resetForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const newPassword = document.getElementById('reset-password').value;
+
+    if (newPassword !== document.getElementById('reset-confirm').value) {
+      alert(t('common.passwordsDoNotMatch'));
+      return;
+    }
+
+    apiRequest('/api/password/reset', { method: 'POST', body: { token, newPassword } })
+      .then(({ message }) => {
+        alert(message);
+        window.location.href = '/app/views/login.html';
+      })
+      .catch(err => alert(err.message));
+  });
+});
@@ -1,6 +1,386 @@
-/* salesPage_fwp.js
-	Purpose: client-side JS for sales page (currently unused)
-	Edited: 2025-12-11
+/* sales.js
+   Purpose: Sales History page — renders the sales ledger from GET /api/sales;
+            Dashboard analytics — renders GET /api/analytics/sales as SVG charts
+   Features:
+   - Sortable columns (click a header; click again to reverse)
+   - Date range filter and per-column search, applied server-side
+   - CSV / JSON downloads and CSV upload with a per-row error report
+   - Amounts shown in the preferred currency, converted server-side at the
+     rates recorded with each sale (currency.js)
+   - Dependency-free SVG charts (column, horizontal bar, donut) for roles with analytics:view
+   - Status, report and chart text from the i18n catalogs
+   Edited: 2026-10-19
 */
 
-// Placeholder file — add page interactivity here as needed
+/* ========================================
+   STATE
+   ======================================== */
+
+const salesQuery = {
+    sortBy: 'purchaseDate',
+    order: 'desc'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const table = document.getElementById('sales-table');
+    if (!table) return;
+
+    const dateFilter = document.getElementById('sales-date-filter');
+
+    // Sortable headers
+    table.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const field = th.dataset.sort;
+            salesQuery.order = salesQuery.sortBy === field && salesQuery.order === 'asc' ? 'desc' : 'asc';
+            salesQuery.sortBy = field;
+            loadSales();
+        });
+    });
+
+    // Per-column search (debounced while typing)
+    let searchTimer;
+    table.querySelectorAll('input[data-filter]').forEach(input => {
+        input.addEventListener('input', () => {
+            salesQuery[input.dataset.filter] = input.value.trim();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(loadSales, 250);
+        });
+    });
+
+    // Date range
+    dateFilter.addEventListener('change', () => {
+        salesQuery.from = dateFilter.elements.from.value;
+        salesQuery.to = dateFilter.elements.to.value;
+        loadSales();
+    });
+
+    dateFilter.addEventListener('reset', () => {
+        salesQuery.from = '';
+        salesQuery.to = '';
+        setTimeout(loadSales);
+    });
+
+    // Export downloads (sales exports follow the current filters)
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            let endpoint = button.dataset.export;
+            if (endpoint.startsWith('/api/sales/')) endpoint += `&${salesQueryString()}`;
+            apiDownload(endpoint, 'export').catch(err => alert(err.message));
+        });
+    });
+
+    // CSV import
+    const importBtn = document.getElementById('import-btn');
+    const importFile = document.getElementById('import-file');
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (file) importSales(file);
+    });
+
+    loadSales();
+});
+
+/* ========================================
+   LOADING & RENDERING
+   ======================================== */
+
+function salesQueryString() {
+    const params = new URLSearchParams();
+    Object.keys(salesQuery).forEach(key => {
+        if (salesQuery[key]) params.set(key, salesQuery[key]);
+    });
+    return params.toString();
+}
+
+function loadSales() {
+    Promise.all([currencyReady, window.i18nReady])
+        .then(() => apiRequest(`/api/sales?${salesQueryString()}&currency=${getPreferredCurrency()}`))
+        .then(renderSales)
+        .catch(err => {
+            console.error('[Sales] Failed to load sales:', err);
+            window.i18nReady.then(() => renderSalesMessage(err.status === 401 || err.status === 403
+                ? t('sales.staffOnly')
+                : t('sales.unavailable')));
+        });
+}
+
+function renderSales(sales) {
+    const tbody = document.getElementById('sales-body');
+
+    document.querySelectorAll('#sales-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === salesQuery.sortBy && salesQuery.order === 'asc');
+        th.classList.toggle('sorted-desc', th.dataset.sort === salesQuery.sortBy && salesQuery.order === 'desc');
+    });
+
+    if (!sales.length) {
+        renderSalesMessage(t('sales.noMatches'));
+        return;
+    }
+
+    tbody.innerHTML = '';
+    sales.forEach(sale => {
+        const row = document.createElement('tr');
+
+        const typeLink = document.createElement('a');
+        typeLink.href = sale.category === 'SUPERCAR' ? 'supercar.html' : 'casual.html';
+        typeLink.textContent = sale.category;
+
+        [
+            sale.customerName,
+            sale.vehicleName,
+            typeLink,
+            formatSaleAmount(sale),
+            formatSaleDate(sale.purchaseDate),
+            sale.country
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.append(value === undefined || value === null ? '' : value);
+            row.appendChild(cell);
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+function renderSalesMessage(message) {
+    const tbody = document.getElementById('sales-body');
+    tbody.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.textContent = message;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+}
+
+/* ========================================
+   CSV IMPORT
+   ======================================== */
+
+function importSales(file) {
+    const report = document.getElementById('import-report');
+
+    file.text()
+        .then(csv => apiRequest('/api/sales/import', { method: 'POST', body: csv, contentType: 'text/csv' }))
+        .then(result => {
+            renderImportReport(report, t('sales.imported', { count: result.imported, file: file.name }), [], true);
+            loadSales();
+        })
+        .catch(err => {
+            const rows = (err.data && err.data.errors) || [];
+            renderImportReport(report, err.message, rows, false);
+        });
+}
+
+function renderImportReport(report, message, rows, success) {
+    report.innerHTML = '';
+    report.classList.toggle('success', success);
+
+    const summary = document.createElement('strong');
+    summary.textContent = message;
+    report.appendChild(summary);
+
+    if (rows.length) {
+        const list = document.createElement('ul');
+        rows.forEach(({ row, errors }) => {
+            const item = document.createElement('li');
+            item.textContent = t('sales.importLine', { line: row, errors: errors.join('; ') });
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+    }
+
+    report.hidden = false;
+}
+
+/* ========================================
+   FORMATTING
+   ======================================== */
+
+function formatSaleAmount(sale) {
+    return formatCurrency(sale.displayPrice, sale.displayCurrency);
+}
+
+// YYYY-MM-DD -> MM-DD-YYYY, matching the format the table has always shown
+function formatSaleDate(isoDate) {
+    const [year, month, day] = String(isoDate).split('-');
+    return day ? `${month}-${day}-${year}` : isoDate;
+}
+
+/* ========================================
+   ANALYTICS DASHBOARD (dashboard.html)
+   ======================================== */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Series colors, as theme tokens from shared.css (resolved when drawing)
+const CHART_COLOR_TOKENS = ['--accent', '--accent-soft', '--accent-pale', '--accent-strong', '--text-muted', '--text-subtle'];
+let chartColors = [];
+
+// Currency the server converted the analytics amounts into
+let analyticsCurrency = 'PHP';
+
+// Last response, kept so the charts can be redrawn in the new palette
+let lastAnalytics = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('analytics');
+    if (!section || !hasPermission('analytics:view')) return;
+
+    section.hidden = false;
+
+    const filter = document.getElementById('analytics-filter');
+    filter.addEventListener('change', () => loadAnalytics(filter));
+    loadAnalytics(filter);
+
+    document.addEventListener('theme:change', () => {
+        if (lastAnalytics) renderAnalytics(lastAnalytics);
+    });
+});
+
+function loadAnalytics(filter) {
+    const params = new URLSearchParams();
+    ['from', 'to', 'category'].forEach(key => {
+        if (filter.elements[key].value) params.set(key, filter.elements[key].value);
+    });
+
+    Promise.all([currencyReady, window.i18nReady])
+        .then(() => {
+            params.set('currency', getPreferredCurrency());
+            return apiRequest(`/api/analytics/sales?${params}`);
+        })
+        .then(renderAnalytics)
+        .catch(err => console.error('[Analytics] Failed to load analytics:', err));
+}
+
+function renderAnalytics(data) {
+    lastAnalytics = data;
+    analyticsCurrency = data.currency;
+    const style = getComputedStyle(document.documentElement);
+    chartColors = CHART_COLOR_TOKENS.map(token => style.getPropertyValue(token).trim());
+
+    document.getElementById('kpi-revenue').textContent = formatMoney(data.totals.revenue);
+    document.getElementById('kpi-units').textContent = data.totals.units.toLocaleString();
+    document.getElementById('kpi-average').textContent = formatMoney(data.totals.averagePrice);
+
+    renderColumnChart(document.getElementById('chart-revenue-month'),
+        data.revenueByMonth.map(m => ({ label: m.month, value: m.revenue })));
+
+    renderDonutChart(document.getElementById('chart-category'),
+        Object.keys(data.unitsByCategory).map(c => ({ label: c, value: data.unitsByCategory[c] })));
+
+    renderBarChart(document.getElementById('chart-top-models'),
+        data.topModels.map(m => ({ label: m.vehicleName, value: m.units })), value => t('sales.unitsSold', { count: value }));
+
+    renderBarChart(document.getElementById('chart-country'),
+        data.salesByCountry.map(c => ({ label: c.country, value: c.revenue })), formatMoney);
+}
+
+/* ---------- Chart helpers ---------- */
+
+function formatMoney(amount, compact = false) {
+    return formatCurrency(amount, analyticsCurrency, { compact });
+}
+
+function svgElement(tag, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach(key => el.setAttribute(key, attrs[key]));
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function prepareChart(container, items, width, height) {
+    container.innerHTML = '';
+    if (!items.length || items.every(item => !item.value)) {
+        const empty = document.createElement('p');
+        empty.className = 'chart-empty';
+        empty.textContent = t('sales.noSalesInRange');
+        container.appendChild(empty);
+        return null;
+    }
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+    container.appendChild(svg);
+    return svg;
+}
+
+// Vertical columns, e.g. revenue per month
+function renderColumnChart(container, items) {
+    const width = 800, height = 280, top = 25, bottom = 40;
+    const svg = prepareChart(container, items, width, height);
+    if (!svg) return;
+
+    const max = Math.max(...items.map(i => i.value));
+    const slot = width / items.length;
+    const barWidth = Math.min(slot * 0.6, 80);
+
+    items.forEach((item, i) => {
+        const barHeight = (item.value / max) * (height - top - bottom);
+        const x = i * slot + (slot - barWidth) / 2;
+        const y = height - bottom - barHeight;
+
+        const bar = svgElement('rect', { x, y, width: barWidth, height: barHeight, rx: 4, fill: chartColors[0] });
+        bar.appendChild(svgElement('title', {}, `${item.label}: ${formatMoney(item.value)}`));
+        svg.appendChild(bar);
+
+        svg.appendChild(svgElement('text', { x: x + barWidth / 2, y: y - 6, 'text-anchor': 'middle' }, formatMoney(item.value, true)));
+        svg.appendChild(svgElement('text', { x: x + barWidth / 2, y: height - bottom + 20, 'text-anchor': 'middle' }, item.label));
+    });
+}
+
+// Horizontal bars with labels, e.g. top models or countries
+function renderBarChart(container, items, format) {
+    const rowHeight = 34, labelWidth = 150, width = 420;
+    const svg = prepareChart(container, items, width, items.length * rowHeight);
+    if (!svg) return;
+
+    const max = Math.max(...items.map(i => i.value));
+    const barSpace = width - labelWidth - 90;
+
+    items.forEach((item, i) => {
+        const y = i * rowHeight;
+        const barWidth = Math.max((item.value / max) * barSpace, 2);
+
+        svg.appendChild(svgElement('text', { x: 0, y: y + 21 }, item.label));
+        svg.appendChild(svgElement('rect', {
+            x: labelWidth, y: y + 6, width: barWidth, height: rowHeight - 12, rx: 4,
+            fill: chartColors[i % chartColors.length]
+        }));
+        svg.appendChild(svgElement('text', { x: labelWidth + barWidth + 8, y: y + 21 }, format(item.value)));
+    });
+}
+
+// Donut built from stroked circles, e.g. units per category
+function renderDonutChart(container, items) {
+    const size = 220, radius = 70, stroke = 32;
+    const svg = prepareChart(container, items, size + 160, size);
+    if (!svg) return;
+
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+
+    items.forEach((item, i) => {
+        const length = (item.value / total) * circumference;
+        const color = chartColors[i % chartColors.length];
+
+        const arc = svgElement('circle', {
+            cx: size / 2, cy: size / 2, r: radius,
+            fill: 'none', stroke: color, 'stroke-width': stroke,
+            'stroke-dasharray': `${length} ${circumference - length}`,
+            'stroke-dashoffset': -offset,
+            transform: `rotate(-90 ${size / 2} ${size / 2})`
+        });
+        arc.appendChild(svgElement('title', {}, `${item.label}: ${item.value}`));
+        svg.appendChild(arc);
+        offset += length;
+
+        // Legend
+        const legendY = 60 + i * 28;
+        svg.appendChild(svgElement('rect', { x: size + 10, y: legendY - 12, width: 14, height: 14, fill: color }));
+        svg.appendChild(svgElement('text', { x: size + 32, y: legendY }, `${item.label} (${item.value})`));
+    });
+
+    svg.appendChild(svgElement('text', { x: size / 2, y: size / 2 + 6, 'text-anchor': 'middle' }, t('sales.totalUnits', { count: total })));
+}
@@ -0,0 +1,192 @@
+/* search.js
+   Purpose: Unified catalog search on products.html, backed by /api/vehicles/search
+   Features:
+   - Full-text search over make / model / description
+   - Faceted filters (category, brand, price, year, horsepower) and sorting
+   - Search state kept in the URL query string so filtered views can be bookmarked
+   - Server-side pagination
+   - Summary and pagination text from the i18n catalogs
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   URL <-> FORM STATE
+   ======================================== */
+
+// Query params mirrored between the URL, the form and the API request
+const SEARCH_PARAMS = ['q', 'category', 'make', 'minPrice', 'maxPrice', 'minYear', 'maxYear', 'minHp', 'maxHp', 'sort', 'page'];
+
+function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    SEARCH_PARAMS.forEach(key => {
+        const value = params.get(key);
+        if (value) state[key] = value;
+    });
+    return state;
+}
+
+function readStateFromForm(form) {
+    const state = {};
+    SEARCH_PARAMS.forEach(key => {
+        if (key === 'make' || key === 'page') return;
+        const field = form.elements[key];
+        if (field && field.value.trim()) state[key] = field.value.trim();
+    });
+
+    const makes = [...form.querySelectorAll('input[name="make"]:checked')].map(box => box.value);
+    if (makes.length) state.make = makes.join(',');
+
+    return state;
+}
+
+function writeStateToForm(form, state) {
+    SEARCH_PARAMS.forEach(key => {
+        if (key === 'make' || key === 'page') return;
+        const field = form.elements[key];
+        if (field) field.value = state[key] || '';
+    });
+}
+
+function toQueryString(state) {
+    const params = new URLSearchParams();
+    SEARCH_PARAMS.forEach(key => {
+        if (state[key]) params.set(key, state[key]);
+    });
+    return params.toString();
+}
+
+/* ========================================
+   SEARCH FLOW
+   ======================================== */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('search-form');
+    if (!form) return;
+
+    let state = readStateFromUrl();
+    writeStateToForm(form, state);
+
+    function run(pushHistory) {
+        const query = toQueryString(state);
+        if (pushHistory) {
+            const url = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+            history.pushState(null, '', url);
+        }
+        runSearch(form, state, page => {
+            state = { ...state, page: String(page) };
+            run(true);
+        });
+    }
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        state = readStateFromForm(form);
+        run(true);
+    });
+
+    // Selects and brand checkboxes apply immediately
+    form.addEventListener('change', e => {
+        if (e.target.matches('select, input[type="checkbox"]')) form.requestSubmit();
+    });
+
+    form.addEventListener('reset', () => {
+        setTimeout(() => {
+            state = {};
+            run(true);
+        });
+    });
+
+    window.addEventListener('popstate', () => {
+        state = readStateFromUrl();
+        writeStateToForm(form, state);
+        run(false);
+    });
+
+    run(false);
+});
+
+function runSearch(form, state, onPage) {
+    const summary = document.getElementById('search-summary');
+    const results = document.getElementById('search-results');
+
+    window.i18nReady.then(() => {
+        summary.textContent = t('shop.searching');
+    });
+
+    Promise.all([apiRequest(`/api/vehicles/search?${toQueryString(state)}`), window.i18nReady])
+        .then(([data]) => {
+            renderBrandFacets(data.facets, state);
+            renderCategoryCounts(form, data.facets);
+
+            results.innerHTML = '';
+            data.results.forEach(vehicle => results.appendChild(createCarItem(vehicle)));
+
+            summary.textContent = data.total
+                ? t('shop.vehiclesFound', { count: data.total })
+                : t('shop.noMatches');
+
+            renderPagination(data, onPage);
+        })
+        .catch(err => {
+            console.error('[Search] Failed:', err);
+            window.i18nReady.then(() => {
+                summary.textContent = t('shop.searchUnavailable');
+            });
+        });
+}
+
+/* ========================================
+   FACETS & PAGINATION
+   ======================================== */
+
+function renderBrandFacets(facets, state) {
+    const container = document.getElementById('brand-facets');
+    const selected = (state.make || '').toLowerCase().split(',');
+
+    container.innerHTML = '';
+    Object.keys(facets.makes).sort().forEach(make => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.name = 'make';
+        box.value = make;
+        box.checked = selected.includes(make.toLowerCase());
+
+        label.append(box, ` ${make} (${facets.makes[make]})`);
+        container.appendChild(label);
+    });
+}
+
+function renderCategoryCounts(form, facets) {
+    [...form.elements.category.options].forEach(option => {
+        if (!option.value) return;
+        const count = facets.categories[option.value] || 0;
+        option.textContent = `${t(option.dataset.i18n)} (${count})`;
+    });
+}
+
+function renderPagination(data, onPage) {
+    const container = document.getElementById('search-pagination');
+    container.innerHTML = '';
+    if (data.totalPages <= 1) return;
+
+    const prev = document.createElement('button');
+    prev.type = 'button';
+    prev.textContent = t('common.previousPage');
+    prev.disabled = data.page <= 1;
+    prev.addEventListener('click', () => onPage(data.page - 1));
+
+    const label = document.createElement('span');
+    label.textContent = t('common.pageOf', { page: data.page, pages: data.totalPages });
+
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.textContent = t('common.nextPage');
+    next.disabled = data.page >= data.totalPages;
+    next.addEventListener('click', () => onPage(data.page + 1));
+
+    container.append(prev, label, next);
+}
@@ -5,7 +5,46 @@
   FEATURES:
   - User registration with bcryptjs password hashing
   - Login authentication with JWT tokens
-  - Persistent user storage in users.json
+  - Bearer token verification middleware and GET/PUT/DELETE /api/me profile endpoints
+  - Role-based access control (Standard Member, Sales Agent, Administrator)
+    with per-route permission checks
+  - Password change with strength rules, forgot-password reset tokens
+    (delivered to a local outbox file) and TOTP two-factor authentication
+  - Profile picture uploads (multipart), re-encoded into square thumbnails
+    without metadata and stored under uploads/avatars
+  - Vehicle photo galleries: multi-photo upload, ordering, cover choice and
+    responsive WebP sizes in a local media store (uploads/vehicles); linked
+    photos can be copied into the store
+  - Per-user settings document (privacy, notifications, preferences) with defaults
+  - Admin user console API: search, view, change role, disable/enable,
+    force password reset and delete accounts
+  - Login throttling per IP and per account (exponential backoff, then a
+    temporary lockout) and an append-only audit log of security events,
+    queryable by admins
+  - User accounts in an SQLite database (data/hanire.db) with schema
+    migrations and a one-time import of the old users.json
+  - Serves the site (index.html, app/views, public/assets) from an allowlist
+    with security headers and a Content Security Policy; data files and
+    uploads live in data/, outside the web root
+  - Vehicle inventory CRUD persisted in vehicles.json
+  - Catalog search with filters, sorting and pagination
+  - Sales ledger persisted in sales.json (recording a sale decrements stock)
+  - Sales analytics aggregated from the ledger
+  - API messages localized (en/es/fr/de) from the Accept-Language header
+  - Multi-currency: prices stored in the base currency (PHP), exchange rates in
+    rates.json (admin-editable), rates snapshotted on every sale
+  - Test-drive / viewing appointments against staff-defined showroom hours,
+    with server-side double-booking checks (appointments.json, showroom.json)
+  - Contact-form inquiries with a staff inbox (assign, reply, close) and
+    customer threads (inquiries.json)
+  - Per-user wishlist of saved vehicles
+  - Vehicle reservations with a deposit and a stock hold window, moving through
+    reserved -> confirmed -> paid -> delivered (or cancelled / expired) with a
+    status history; delivery records the sale (orders.json, checkout.json)
+  - Financing: amortization quotes from admin-editable rate tables, and
+    applications on a reservation that staff approve or reject
+    (financing.json, applications.json)
+  - CSV / JSON export of sales and inventory, validated CSV import of sales
   - CORS enabled for local development
 */
 
@@ -16,204 +55,4909 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto'); // Random tokens, hashing and TOTP HMACs
+const dns = require('dns'); // Host lookups for linked vehicle photos
+const net = require('net'); // IP address checks for the same
+const http = require('http');
+const https = require('https'); // Downloading linked vehicle photos
 const bcrypt = require('bcryptjs'); // Password hashing library
 const cors = require('cors'); // Cross-Origin Resource Sharing
 const jwt = require('jsonwebtoken'); // JWT token generation for session management
+const multer = require('multer'); // multipart/form-data parsing for file uploads
+const sharp = require('sharp'); // Image decoding, resizing and re-encoding
+const Database = require('better-sqlite3'); // Embedded SQLite database for user accounts
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'users.json'); // File where user data persists
+const SITE_ROOT = path.join(__dirname, '..', '..', '..'); // index.html, app/ and public/ (served through STATIC_ROUTES)
+const DATA_DIR = process.env.DATA_DIR || path.join(SITE_ROOT, 'data'); // Server-only data, never served to browsers
+const USER_DB_FILE = path.join(DATA_DIR, 'hanire.db'); // SQLite database holding the user accounts
+const LEGACY_USERS_FILE = path.join(__dirname, 'users.json'); // Old flat-file user store, imported once at startup
+const VEHICLES_FILE = path.join(DATA_DIR, 'vehicles.json'); // File where vehicle inventory persists
+const SALES_FILE = path.join(DATA_DIR, 'sales.json'); // File where the sales ledger persists
+const RATES_FILE = path.join(DATA_DIR, 'rates.json'); // Exchange rates (hand-editable, or PUT /api/currency/rates)
+const SHOWROOM_FILE = path.join(DATA_DIR, 'showroom.json'); // Showroom hours and blackout days (PUT /api/showroom/schedule)
+const APPOINTMENTS_FILE = path.join(DATA_DIR, 'appointments.json'); // File where test-drive / viewing bookings persist
+const INQUIRIES_FILE = path.join(DATA_DIR, 'inquiries.json'); // File where contact-form inquiry threads persist
+const ORDERS_FILE = path.join(DATA_DIR, 'orders.json'); // File where vehicle reservations / orders persist
+const CHECKOUT_FILE = path.join(DATA_DIR, 'checkout.json'); // Deposit and stock-hold policy (PUT /api/orders/settings)
+const FINANCING_FILE = path.join(DATA_DIR, 'financing.json'); // Loan rate tables (PUT /api/financing/rates)
+const APPLICATIONS_FILE = path.join(DATA_DIR, 'applications.json'); // File where financing applications persist
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads'); // Processed images, served at /uploads
+const AVATARS_DIR = path.join(UPLOADS_DIR, 'avatars'); // Profile pictures (POST /api/me/avatar)
+const VEHICLE_MEDIA_DIR = path.join(UPLOADS_DIR, 'vehicles'); // Vehicle photos (POST /api/vehicles/:id/images)
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.log'); // Development mailbox: outgoing emails are appended here
+const APP_ORIGIN = process.env.APP_ORIGIN || `http://localhost:${PORT}`; // Used to build links in emails
 const JWT_SECRET = process.env.JWT_SECRET || 'demo-secret-key-change-in-production'; // Secret for signing JWT tokens
 
 /* ========================================
    MIDDLEWARE
    ======================================== */
 
+// Security headers first so every response carries them
+app.disable('x-powered-by');
+app.use(securityHeaders);
+
 // Enable CORS - allows API calls from different origins
-app.use(cors());
+// Content-Disposition is exposed so export downloads keep their filename
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+
+// Parse incoming JSON bodies with 1MB size limit
+app.use(express.json({ limit: '1mb' }));
+
+// Translate API messages into the caller's language (Accept-Language)
+app.use('/api', localizeApiMessages);
+
+// Uploaded images get a new file name on every upload, so browsers may keep them for good
+app.use('/uploads', express.static(UPLOADS_DIR, { maxAge: '365d', immutable: true }));
+
+// Serve the site itself (index.html, app/views, public/assets) from the allowlist
+// Pages are then at http://localhost:3000/
+app.use(serveSite);
+
+/* ========================================
+   LOCALIZATION - API MESSAGES
+   ======================================== */
+
+const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de'];
+const DEFAULT_LOCALE = 'en';
+const API_LOCALES_DIR = path.join(__dirname, '..', 'i18n', 'api'); // <locale>.json: English message -> translation
+
+/**
+ * Loads the API message catalogs (English needs none)
+ * Entries whose English text contains {name} placeholders become patterns,
+ * so "Unknown vehicle {id}" also translates "Unknown vehicle 42"
+ */
+function loadMessageCatalogs() {
+  const catalogs = {};
+
+  SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+    let entries = {};
+    try {
+      entries = JSON.parse(fs.readFileSync(path.join(API_LOCALES_DIR, `${locale}.json`), 'utf8'));
+    } catch (err) {
+      console.warn(`No API message catalog for ${locale}:`, err.message);
+    }
+
+    const exact = new Map();
+    const patterns = [];
+    Object.entries(entries).forEach(([english, translated]) => {
+      const names = [...english.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      if (!names.length) return exact.set(english, translated);
+
+      const source = english
+        .split(/\{\w+\}/)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('(.+?)');
+      patterns.push({ regex: new RegExp(`^${source}$`), names, translated });
+    });
+
+    catalogs[locale] = { exact, patterns };
+  });
+
+  return catalogs;
+}
+
+const MESSAGE_CATALOGS = loadMessageCatalogs();
+
+/**
+ * Picks the best supported locale from an Accept-Language header
+ *   "fr-CA,fr;q=0.9,en;q=0.8" -> "fr"
+ */
+function preferredLocale(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { language: tag.split('-')[0].toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(entry => SUPPORTED_LOCALES.includes(entry.language) && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked.length ? ranked[0].language : DEFAULT_LOCALE;
+}
+
+/**
+ * Translates one API message; unknown messages are returned unchanged
+ * (English is the fallback). Joined validation messages ("a; b") are
+ * translated part by part.
+ */
+function translateMessage(message, locale) {
+  const catalog = MESSAGE_CATALOGS[locale];
+  if (!catalog || typeof message !== 'string') return message;
+
+  const translateOne = text => {
+    if (catalog.exact.has(text)) return catalog.exact.get(text);
+    for (const { regex, names, translated } of catalog.patterns) {
+      const match = text.match(regex);
+      if (match) return names.reduce((result, name, i) => result.replace(`{${name}}`, match[i + 1]), translated);
+    }
+    return null;
+  };
+
+  if (catalog.exact.has(message)) return catalog.exact.get(message);
+
+  // Parts first: a pattern's placeholder would otherwise swallow "a; b"
+  const parts = message.split('; ').map(part => ({ part, translated: translateOne(part) }));
+  if (parts.length > 1 && parts.every(p => p.translated !== null)) {
+    return parts.map(p => p.translated).join('; ');
+  }
+
+  return translateOne(message) ?? parts.map(p => p.translated ?? p.part).join('; ');
+}
+
+/**
+ * Wraps res.json for /api routes so `message` and `errors` (plain strings,
+ * or { row, errors } import reports) follow the request's Accept-Language
+ */
+function localizeApiMessages(req, res, next) {
+  const locale = preferredLocale(req.get('Accept-Language'));
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  if (locale === DEFAULT_LOCALE) return next();
+
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return sendJson(body);
+
+    const localized = { ...body };
+    if (typeof body.message === 'string') localized.message = translateMessage(body.message, locale);
+    if (Array.isArray(body.errors)) {
+      localized.errors = body.errors.map(error => (typeof error === 'string'
+        ? translateMessage(error, locale)
+        : error && Array.isArray(error.errors)
+          ? { ...error, errors: error.errors.map(text => translateMessage(text, locale)) }
+          : error));
+    }
+    return sendJson(localized);
+  };
+  next();
+}
+
+/* ========================================
+   STATIC SITE & SECURITY HEADERS
+   Only the folders the pages use are served, each limited to the file types
+   it holds; server code, data/ and anything else under SITE_ROOT stay private
+   ======================================== */
+
+// URL prefix -> folder under SITE_ROOT, and the file types served from it
+const STATIC_ROUTES = [
+  { prefix: '/app/views', dir: 'app/views', types: ['.html'] },
+  { prefix: '/app/models/images', dir: 'app/models/images', types: ['.jpg', '.jpeg', '.png', '.webp', '.gif'] },
+  { prefix: '/public/assets', dir: 'public/assets', types: ['.html', '.css', '.js', '.json'] }
+];
+
+// Server-side files that sit inside the served folders
+const SERVER_ONLY_PATHS = [__filename, LEGACY_USERS_FILE, API_LOCALES_DIR];
+
+/**
+ * Maps a URL path to the file it may serve
+ * Returns the absolute path, or null when the path is outside the allowlist
+ * (unknown folder, other file type, server-only file, or ../ tricks)
+ */
+function resolveStaticFile(urlPath) {
+  if (urlPath === '/' || urlPath === '/index.html') return path.join(SITE_ROOT, 'index.html');
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (err) {
+    return null; // Malformed escape sequence
+  }
+
+  const route = STATIC_ROUTES.find(r => decoded.startsWith(`${r.prefix}/`));
+  if (!route || decoded.includes('\0')) return null;
+
+  const dir = path.join(SITE_ROOT, route.dir);
+  const file = path.join(dir, decoded.slice(route.prefix.length));
+  if (!file.startsWith(dir + path.sep) || !route.types.includes(path.extname(file).toLowerCase())) return null;
+  if (SERVER_ONLY_PATHS.some(p => file === p || file.startsWith(p + path.sep))) return null;
+  return file;
+}
+
+/**
+ * Middleware: serves GET / HEAD requests for allowlisted files
+ * Anything else falls through to the API routes (and their 404)
+ */
+function serveSite(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  const file = resolveStaticFile(req.path);
+  if (!file) return next();
+
+  // Dotfiles are refused by sendFile; a missing file is an ordinary 404
+  res.sendFile(file, err => {
+    if (err && !res.headersSent) next();
+  });
+}
+
+// Pages still use inline onclick handlers, javascript: links and an inline
+// <script> in settings.html, so scripts need 'unsafe-inline' until those move
+// into page scripts. Vehicle photos and avatars can be links to any host
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdn.boxicons.com",
+  "font-src 'self' data: https://fonts.gstatic.com https://cdn.boxicons.com",
+  "img-src 'self' data: blob: https: http:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+/**
+ * Middleware: security headers for every response
+ */
+function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY', // Older browsers without frame-ancestors
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+  });
+  // Only meaningful over HTTPS (e.g. behind a TLS-terminating proxy with trust proxy set)
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  next();
+}
+
+/**
+ * Moves runtime files that older versions kept next to server.js, inside
+ * the web root, to DATA_DIR (skipped once the destination exists)
+ */
+function moveLegacyDataFiles() {
+  [['uploads', UPLOADS_DIR], ['outbox.log', OUTBOX_FILE]].forEach(([name, destination]) => {
+    const source = path.join(__dirname, name);
+    if (!fs.existsSync(source) || fs.existsSync(destination)) return;
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.renameSync(source, destination);
+    console.log(`Moved ${source} to ${destination}`);
+  });
+}
+
+/* ========================================
+   STORAGE - USER DATABASE (SQLite)
+   Accounts live in an embedded SQLite database outside the web root.
+   Every write is a single statement or a transaction, and the unique
+   index on email is what finally settles concurrent registrations.
+   ======================================== */
+
+/**
+ * Schema migrations, applied in order; PRAGMA user_version records how
+ * many have run. Never edit a shipped entry: append a new one instead
+ */
+const USER_DB_MIGRATIONS = [
+  `CREATE TABLE users (
+     id INTEGER PRIMARY KEY,
+     email TEXT NOT NULL,
+     full_name TEXT NOT NULL,
+     phone TEXT NOT NULL DEFAULT '',
+     location TEXT NOT NULL DEFAULT '',
+     role TEXT NOT NULL,
+     avatar_url TEXT NOT NULL DEFAULT '',
+     member_since TEXT NOT NULL,
+     password_hash TEXT NOT NULL,
+     password_reset_required INTEGER NOT NULL DEFAULT 0,
+     session_version INTEGER NOT NULL DEFAULT 0,
+     disabled INTEGER NOT NULL DEFAULT 0,
+     password_reset TEXT,
+     two_factor TEXT,
+     settings TEXT,
+     wishlist TEXT NOT NULL DEFAULT '[]'
+   );
+   CREATE UNIQUE INDEX users_email ON users (email COLLATE NOCASE);
+   CREATE INDEX users_full_name ON users (full_name COLLATE NOCASE);`,
+
+  `CREATE TABLE audit_log (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     at TEXT NOT NULL,
+     event TEXT NOT NULL,
+     user_id INTEGER,
+     actor_id INTEGER,
+     ip TEXT,
+     details TEXT
+   );
+   CREATE INDEX audit_log_user ON audit_log (user_id);
+   CREATE INDEX audit_log_actor ON audit_log (actor_id);
+   CREATE INDEX audit_log_event ON audit_log (event);
+   CREATE INDEX audit_log_at ON audit_log (at);
+   CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+   CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;`
+];
+
+/**
+ * How each user field is stored
+ *   text / int: as is; bool: 0 or 1; json: serialized (null when absent)
+ */
+const USER_FIELDS = {
+  id: { column: 'id', type: 'int' },
+  email: { column: 'email', type: 'text' },
+  fullName: { column: 'full_name', type: 'text' },
+  phone: { column: 'phone', type: 'text' },
+  location: { column: 'location', type: 'text' },
+  role: { column: 'role', type: 'text' },
+  avatarUrl: { column: 'avatar_url', type: 'text' },
+  memberSince: { column: 'member_since', type: 'text' },
+  passwordHash: { column: 'password_hash', type: 'text' },
+  passwordResetRequired: { column: 'password_reset_required', type: 'bool' },
+  sessionVersion: { column: 'session_version', type: 'int' },
+  disabled: { column: 'disabled', type: 'bool' },
+  passwordReset: { column: 'password_reset', type: 'json' },
+  twoFactor: { column: 'two_factor', type: 'json' },
+  settings: { column: 'settings', type: 'json' },
+  wishlist: { column: 'wishlist', type: 'json' }
+};
+
+function toColumnValue({ type }, value) {
+  if (type === 'bool') return value ? 1 : 0;
+  if (type === 'json') return value === undefined || value === null ? null : JSON.stringify(value);
+  if (type === 'int') return value === undefined || value === null ? 0 : value;
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Turns a table row back into the user object the routes work with
+ * (JSON fields that are NULL are left out, as they were in users.json)
+ */
+function rowToUser(row) {
+  if (!row) return null;
+  const user = {};
+  Object.entries(USER_FIELDS).forEach(([field, spec]) => {
+    const value = row[spec.column];
+    if (spec.type === 'bool') user[field] = Boolean(value);
+    else if (spec.type === 'json') {
+      if (value !== null) user[field] = JSON.parse(value);
+    } else user[field] = value;
+  });
+  if (!user.wishlist) user.wishlist = [];
+  return user;
+}
+
+/**
+ * Opens (creating if needed) the database and brings its schema up to date
+ * Each pending migration runs in its own transaction together with the
+ * user_version bump, so a failed migration leaves the previous schema intact
+ */
+function openUserDatabase(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL'); // Readers never wait for the writer
+  db.pragma('busy_timeout = 5000');
+
+  const applied = db.pragma('user_version', { simple: true });
+  USER_DB_MIGRATIONS.slice(applied).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${applied + index + 1}`);
+    })();
+  });
+
+  return db;
+}
+
+/**
+ * True for the error create() and update() throw when the email belongs
+ * to another account (compared case-insensitively by the users_email index)
+ */
+function isEmailConflict(err) {
+  return err && err.code === 'SQLITE_CONSTRAINT_UNIQUE' && /users\.email/.test(err.message);
+}
+
+/**
+ * Repository over the users table: the only code that talks to SQL
+ * Returns plain user objects; writes are atomic
+ *
+ *   list()                        every user, oldest account first
+ *   findById(id)                  user or null
+ *   findByEmail(email)            case-insensitive
+ *   findByLogin(name)             email or full name, case-insensitive
+ *   findByResetToken(tokenHash)   user holding that password-reset token
+ *   count()
+ *   nextId()                      timestamp ID, bumped past the newest one if needed
+ *   create(user)                  inserts; throws on a taken email (isEmailConflict)
+ *   update(id, changes)           saves only the fields given; returns the
+ *                                 updated user, or null if it no longer exists
+ *   remove(id)                    true when a user was deleted
+ *   transaction(fn)               runs fn atomically (nested calls join it)
+ */
+function createUserRepository(db) {
+  const columns = Object.values(USER_FIELDS).map(spec => spec.column);
+  const statements = {
+    list: db.prepare('SELECT * FROM users ORDER BY id'),
+    findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    findByEmail: db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE'),
+    findByLogin: db.prepare('SELECT * FROM users WHERE email = @name COLLATE NOCASE OR full_name = @name COLLATE NOCASE ORDER BY email = @name COLLATE NOCASE DESC, id LIMIT 1'),
+    findByResetToken: db.prepare("SELECT * FROM users WHERE json_extract(password_reset, '$.tokenHash') = ?"),
+    count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    maxId: db.prepare('SELECT MAX(id) AS id FROM users'),
+    insert: db.prepare(`INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`),
+    remove: db.prepare('DELETE FROM users WHERE id = ?')
+  };
+
+  return {
+    list: () => statements.list.all().map(rowToUser),
+    findById: id => rowToUser(statements.findById.get(Number(id))),
+    findByEmail: email => rowToUser(statements.findByEmail.get(String(email || '').trim())),
+    findByLogin: name => rowToUser(statements.findByLogin.get({ name: String(name || '').trim() })),
+    findByResetToken: tokenHash => rowToUser(statements.findByResetToken.get(String(tokenHash))),
+    count: () => statements.count.get().count,
+    nextId: () => Math.max(Date.now(), (statements.maxId.get().id || 0) + 1),
+
+    create(user) {
+      const row = {};
+      Object.entries(USER_FIELDS).forEach(([field, spec]) => { row[spec.column] = toColumnValue(spec, user[field]); });
+      if (row.wishlist === null) row.wishlist = '[]';
+      statements.insert.run(row);
+      return rowToUser(statements.findById.get(user.id));
+    },
+
+    update(id, changes) {
+      const fields = Object.keys(changes).filter(field => field !== 'id' && USER_FIELDS[field]);
+      if (fields.length) {
+        const assignments = fields.map(field => `${USER_FIELDS[field].column} = @${field}`).join(', ');
+        const values = { id: Number(id) };
+        fields.forEach(field => { values[field] = toColumnValue(USER_FIELDS[field], changes[field]); });
+        db.prepare(`UPDATE users SET ${assignments} WHERE id = @id`).run(values);
+      }
+      return rowToUser(statements.findById.get(Number(id)));
+    },
+
+    remove: id => statements.remove.run(Number(id)).changes > 0,
+    transaction: fn => db.transaction(fn)()
+  };
+}
+
+/**
+ * One-time import of the old flat file: copies every account from
+ * users.json into the database, then moves the file next to the database
+ * (it holds password hashes and sat in a publicly served folder)
+ * Accounts whose ID or email is already in the database are skipped
+ */
+function importLegacyUsers(users, file) {
+  if (!fs.existsSync(file)) return;
+
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(file, 'utf8') || '[]');
+  } catch (err) {
+    console.error(`Not importing ${file}: ${err.message}`);
+    return;
+  }
+
+  let imported = 0;
+  users.transaction(() => {
+    legacy.forEach(user => {
+      if (!user || !user.id || !user.email || users.findById(user.id) || users.findByEmail(user.email)) {
+        console.warn(`Skipped legacy user ${user && (user.email || user.id)}: missing fields or already imported`);
+        return;
+      }
+      users.create({ memberSince: '', role: DEFAULT_ROLE, ...user, fullName: user.fullName || user.email });
+      imported++;
+    });
+  });
+
+  const archive = path.join(DATA_DIR, `users.json.imported-${Date.now()}`);
+  fs.renameSync(file, archive);
+  console.log(`Imported ${imported} of ${legacy.length} users from users.json (original kept at ${archive})`);
+}
+
+const userDatabase = openUserDatabase(USER_DB_FILE);
+const userRepository = createUserRepository(userDatabase);
+
+/* ========================================
+   STORAGE - AUDIT LOG
+   Security events in the audit_log table of the same database
+   Rows can only be added: triggers reject UPDATE and DELETE
+   ======================================== */
+
+const AUDIT_EVENTS = [
+  'login.success',
+  'login.failure', // details.reason: unknown_user, bad_password, disabled, bad_otp
+  'login.locked', // details.scope: ip or account; logged once when the lockout starts
+  'account.register',
+  'account.delete',
+  'account.disable',
+  'account.enable',
+  'password.change', // Signed-in user, knowing the current password
+  'password.reset', // Through an emailed reset link
+  'password.admin_reset', // Forced by an administrator
+  'role.change'
+];
+
+const AUDIT_PAGE_SIZE = 50;
+
+/**
+ * Append-only access to audit_log
+ *
+ *   append({ event, userId, actorId, ip, details })
+ *   query({ userId, events, from, to, limit, offset })   -> { results, total }
+ *     userId matches entries about the user or done by them;
+ *     from / to are inclusive UTC dates (YYYY-MM-DD); newest entries first
+ */
+function createAuditLog(db) {
+  const insert = db.prepare(`INSERT INTO audit_log (at, event, user_id, actor_id, ip, details)
+    VALUES (@at, @event, @userId, @actorId, @ip, @details)`);
+
+  const toEntry = row => ({
+    id: row.id,
+    at: row.at,
+    event: row.event,
+    userId: row.user_id,
+    actorId: row.actor_id,
+    ip: row.ip,
+    details: row.details ? JSON.parse(row.details) : {}
+  });
+
+  return {
+    append({ event, userId = null, actorId = null, ip = null, details = {} }) {
+      insert.run({ at: new Date().toISOString(), event, userId, actorId, ip, details: JSON.stringify(details) });
+    },
+
+    query({ userId, events, from, to, limit, offset }) {
+      const where = [];
+      const params = {};
+      if (userId !== undefined) {
+        where.push('(user_id = @userId OR actor_id = @userId)');
+        params.userId = userId;
+      }
+      if (events && events.length) {
+        where.push(`event IN (${events.map((event, i) => `@event${i}`).join(', ')})`);
+        events.forEach((event, i) => { params[`event${i}`] = event; });
+      }
+      if (from) {
+        where.push('at >= @from');
+        params.from = from;
+      }
+      if (to) {
+        where.push('substr(at, 1, 10) <= @to');
+        params.to = to;
+      }
+
+      const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${filter}`).get(params).count;
+      const results = db.prepare(`SELECT * FROM audit_log ${filter} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset })
+        .map(toEntry);
+      return { results, total };
+    }
+  };
+}
+
+const auditLog = createAuditLog(userDatabase);
+
+/**
+ * Records a security event for the current request
+ * The actor is the signed-in user, if any; userId is the account concerned
+ * A failed write is logged rather than failing the request it describes
+ */
+function recordAudit(req, event, { userId = null, details = {} } = {}) {
+  try {
+    auditLog.append({ event, userId, actorId: req.user ? req.user.id : null, ip: req.ip, details });
+  } catch (err) {
+    console.error(`Audit log write failed (${event}):`, err.message);
+  }
+}
+
+/* ========================================
+   UTILITY FUNCTIONS - FILE OPERATIONS
+   ======================================== */
+
+/**
+ * Reads vehicles from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readVehicles() {
+  try {
+    const raw = fs.readFileSync(VEHICLES_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes vehicles array to JSON file with formatting
+ * Called after create, update or delete operations
+ */
+function writeVehicles(vehicles) {
+  fs.writeFileSync(VEHICLES_FILE, JSON.stringify(vehicles, null, 2), 'utf8');
+}
+
+/**
+ * Reads sales from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readSales() {
+  try {
+    const raw = fs.readFileSync(SALES_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes sales array to JSON file with formatting
+ * Called after a sale is recorded
+ */
+function writeSales(sales) {
+  fs.writeFileSync(SALES_FILE, JSON.stringify(sales, null, 2), 'utf8');
+}
+
+/**
+ * Reads the exchange rates document { base, updatedAt, rates }
+ * rates maps currency code -> base-currency units per one unit of that currency
+ * Falls back to base-only rates if the file is missing or broken
+ */
+function readRates() {
+  try {
+    const doc = JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+    if (doc && doc.base && doc.rates) return doc;
+  } catch (err) {
+    // fall through
+  }
+  return { base: 'PHP', updatedAt: null, rates: { PHP: 1 } };
+}
+
+/**
+ * Writes the exchange rates document
+ * Called after an admin updates the rates
+ */
+function writeRates(doc) {
+  fs.writeFileSync(RATES_FILE, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+/**
+ * Reads the showroom schedule { slotMinutes, slotCapacity, hours, blackoutDays }
+ * Missing fields fall back to DEFAULT_SCHEDULE
+ */
+function readSchedule() {
+  try {
+    const doc = JSON.parse(fs.readFileSync(SHOWROOM_FILE, 'utf8'));
+    if (doc && typeof doc === 'object') return { ...DEFAULT_SCHEDULE, ...doc };
+  } catch (err) {
+    // fall through
+  }
+  return { ...DEFAULT_SCHEDULE };
+}
+
+/**
+ * Writes the showroom schedule
+ * Called after staff update hours or blackout days
+ */
+function writeSchedule(doc) {
+  fs.writeFileSync(SHOWROOM_FILE, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+/**
+ * Reads appointments from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readAppointments() {
+  try {
+    const raw = fs.readFileSync(APPOINTMENTS_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes appointments array to JSON file with formatting
+ * Called after a booking is made or cancelled
+ */
+function writeAppointments(appointments) {
+  fs.writeFileSync(APPOINTMENTS_FILE, JSON.stringify(appointments, null, 2), 'utf8');
+}
+
+/**
+ * Reads inquiry threads from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readInquiries() {
+  try {
+    const raw = fs.readFileSync(INQUIRIES_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes inquiry threads to JSON file with formatting
+ * Called after a thread is created, answered, assigned or closed
+ */
+function writeInquiries(inquiries) {
+  fs.writeFileSync(INQUIRIES_FILE, JSON.stringify(inquiries, null, 2), 'utf8');
+}
+
+/**
+ * Reads orders from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readOrders() {
+  try {
+    const raw = fs.readFileSync(ORDERS_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes orders array to JSON file with formatting
+ * Called after an order is placed or changes status
+ */
+function writeOrders(orders) {
+  fs.writeFileSync(ORDERS_FILE, JSON.stringify(orders, null, 2), 'utf8');
+}
+
+/**
+ * Reads the checkout policy { depositPercent, holdHours }
+ * Missing fields fall back to DEFAULT_CHECKOUT_SETTINGS
+ */
+function readCheckoutSettings() {
+  try {
+    const doc = JSON.parse(fs.readFileSync(CHECKOUT_FILE, 'utf8'));
+    if (doc && typeof doc === 'object') return { ...DEFAULT_CHECKOUT_SETTINGS, ...doc };
+  } catch (err) {
+    // fall through
+  }
+  return { ...DEFAULT_CHECKOUT_SETTINGS };
+}
+
+/**
+ * Writes the checkout policy
+ * Called after an admin changes the deposit or hold window
+ */
+function writeCheckoutSettings(doc) {
+  fs.writeFileSync(CHECKOUT_FILE, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+/**
+ * Reads the financing rate tables { minDownPaymentPercent, rateTables }
+ * Missing fields fall back to DEFAULT_FINANCING
+ */
+function readFinancing() {
+  try {
+    const doc = JSON.parse(fs.readFileSync(FINANCING_FILE, 'utf8'));
+    if (doc && typeof doc === 'object') return { ...DEFAULT_FINANCING, ...doc };
+  } catch (err) {
+    // fall through
+  }
+  return { ...DEFAULT_FINANCING };
+}
+
+/**
+ * Writes the financing rate tables
+ * Called after an admin changes the terms offered
+ */
+function writeFinancing(doc) {
+  fs.writeFileSync(FINANCING_FILE, JSON.stringify(doc, null, 2), 'utf8');
+}
+
+/**
+ * Reads financing applications from the JSON file and returns as array
+ * Returns empty array if file doesn't exist or fails to parse
+ */
+function readApplications() {
+  try {
+    const raw = fs.readFileSync(APPLICATIONS_FILE, 'utf8');
+    return JSON.parse(raw || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Writes financing applications to JSON file with formatting
+ * Called after an application is submitted or decided
+ */
+function writeApplications(applications) {
+  fs.writeFileSync(APPLICATIONS_FILE, JSON.stringify(applications, null, 2), 'utf8');
+}
+
+/* ========================================
+   UTILITY FUNCTIONS - IMAGE UPLOADS
+   Shared by profile pictures and vehicle photos
+   ======================================== */
+
+const IMAGE_MAX_PIXELS = 40 * 1000 * 1000; // Refuses decompression bombs before they are decoded
+
+// Declared upload type -> format sharp must find in the file itself
+const IMAGE_UPLOAD_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Builds the middleware that reads up to maxFiles images from one
+ * multipart field into req.files (kept in memory; nothing touches the disk
+ * until the images have been checked)
+ * Upload errors answer with the usual JSON shape
+ */
+function imageUpload({ field, maxBytes, maxFiles = 1 }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => upload(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, message: `Images must be ${maxBytes / 1024 / 1024} MB or smaller` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ success: false, message: `Upload at most ${maxFiles} images at a time` });
+    }
+    res.status(400).json({ success: false, message: `Send the image as the "${field}" field of a multipart form` });
+  });
+}
+
+/**
+ * Checks one uploaded file: the declared type is only a claim from the
+ * browser, so the decoded format has to agree with it
+ * Returns the problem as a message, or null when the image is usable
+ */
+async function imageUploadProblem(file) {
+  const expected = IMAGE_UPLOAD_TYPES[file.mimetype];
+  if (!expected) return 'Only JPEG, PNG, WebP or GIF images are accepted';
+
+  try {
+    const { format } = await sharp(file.buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).metadata();
+    if (format === expected) return null;
+  } catch (err) {
+    // Not decodable: same answer as a mismatched format
+  }
+  return 'The file is not a valid JPEG, PNG, WebP or GIF image';
+}
+
+/**
+ * Deletes processed files by their /uploads/... URLs
+ * Missing files are ignored: a record may point at an already-removed upload
+ */
+function removeUploadedFiles(urls) {
+  urls.forEach(url => {
+    fs.rm(path.join(UPLOADS_DIR, path.relative('/uploads', url)), { force: true }, err => {
+      if (err) console.error('Failed to remove uploaded file:', err.message);
+    });
+  });
+}
+
+/* ========================================
+   AUTHENTICATION - SESSION HELPERS
+   ======================================== */
+
+/**
+ * Returns the user fields that are safe to send to the client
+ * (never includes the password hash)
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    fullName: user.fullName,
+    email: user.email,
+    phone: user.phone,
+    location: user.location,
+    role: user.role,
+    permissions: permissionsFor(user.role),
+    avatarUrl: user.avatarUrl,
+    avatarThumbnails: avatarThumbnails(user.avatarUrl),
+    memberSince: user.memberSince,
+    passwordResetRequired: Boolean(user.passwordResetRequired),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+  };
+}
+
+/**
+ * Checks whether an email is already registered (case-insensitive)
+ * exceptId skips the user being updated so they can keep their own email
+ */
+function emailTaken(email, exceptId) {
+  const owner = userRepository.findByEmail(email);
+  return Boolean(owner) && owner.id !== exceptId;
+}
+
+/**
+ * Signs a 7-day session token for a user
+ * sessionVersion is embedded so bumping it on the user revokes every
+ * token issued before (used when an admin forces a password reset)
+ */
+function signToken(user) {
+  return jwt.sign({ userId: user.id, email: user.email, sv: user.sessionVersion || 0 }, JWT_SECRET, { expiresIn: '7d' });
+}
+
+/**
+ * Middleware: requires a valid "Authorization: Bearer <jwt>" header
+ * Verifies the signature and expiry, then loads the user into req.user
+ * Responds 401 if the token is missing, invalid, expired or revoked, or the
+ * account is gone or disabled
+ */
+function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired session' });
+  }
+
+  const user = userRepository.findById(payload.userId);
+  if (!user) return res.status(401).json({ success: false, message: 'Account no longer exists' });
+  if (user.disabled) return res.status(401).json({ success: false, message: 'This account has been disabled' });
+  if ((payload.sv || 0) !== (user.sessionVersion || 0)) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired session' });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Like authenticate, but lets requests without an Authorization header
+ * through as guests (req.user stays undefined); a bad token is still a 401
+ */
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) return next();
+  authenticate(req, res, next);
+}
+
+/* ========================================
+   AUTHORIZATION - ROLES & PERMISSIONS
+   ======================================== */
+
+/**
+ * Permissions granted to each role
+ * Routes check a permission, never a role name, so roles can be
+ * reshaped here without touching the endpoints
+ *
+ *   inventory:manage - create / update / delete vehicles, export inventory
+ *   sales:view       - read and export the sales ledger
+ *   sales:record     - record new sales
+ *   sales:import     - bulk CSV import into the ledger
+ *   analytics:view   - sales analytics dashboard
+ *   currency:manage  - update exchange rates
+ *   users:manage     - change other users' roles
+ *   appointments:manage - showroom hours, blackout days and the daily booking list
+ *   inquiries:manage - staff inbox: assign, reply to and close customer inquiries
+ *   orders:manage    - order list and status changes (confirm, paid, delivered, cancel)
+ *   financing:review - approve or reject financing applications
+ *   financing:configure - loan rate tables and the minimum down payment
+ *   audit:view       - security audit log (logins, password and role changes)
+ */
+const ROLES = {
+  'Standard Member': [],
+  'Sales Agent': ['sales:view', 'sales:record', 'appointments:manage', 'inquiries:manage', 'orders:manage', 'financing:review'],
+  'Administrator': ['inventory:manage', 'sales:view', 'sales:record', 'sales:import', 'analytics:view', 'currency:manage', 'users:manage', 'appointments:manage', 'inquiries:manage', 'orders:manage', 'financing:review', 'financing:configure', 'audit:view']
+};
+
+const DEFAULT_ROLE = 'Standard Member';
+
+/**
+ * Returns the permission list for a role (unknown roles get none)
+ */
+function permissionsFor(role) {
+  return ROLES[role] || [];
+}
+
+/**
+ * Middleware factory: authenticates the request, then requires a permission
+ * Responds 401 without a valid session and 403 when the role lacks it
+ *
+ *   app.post('/api/vehicles', requirePermission('inventory:manage'), handler)
+ */
+function requirePermission(permission) {
+  return [authenticate, (req, res, next) => {
+    if (!permissionsFor(req.user.role).includes(permission)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }];
+}
+
+/* ========================================
+   AUTHENTICATION - PASSWORDS & TWO-FACTOR HELPERS
+   ======================================== */
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // Password reset links expire after 30 minutes
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Checks a new password against the strength rules
+ * Returns an error message, or null when the password is acceptable
+ */
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) return 'Password must mix upper and lower case letters';
+  if (!/[0-9]/.test(password)) return 'Password must contain a number';
+  return null;
+}
+
+/**
+ * Hashes a one-time secret (reset token, recovery code) for storage
+ * SHA-256 is enough here: the inputs are long random values, not passwords
+ */
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Development mail transport: appends the message to OUTBOX_FILE
+ */
+function sendMail(to, subject, text) {
+  const message = `To: ${to}\nDate: ${new Date().toISOString()}\nSubject: ${subject}\n\n${text}\n\n----------------------------------------\n`;
+  fs.appendFileSync(OUTBOX_FILE, message, 'utf8');
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  const bits = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '')
+    .split('').map(c => BASE32_ALPHABET.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * RFC 6238 TOTP code (HMAC-SHA1, 6 digits) for a base32 secret and time step
+ */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(value).padStart(6, '0');
+}
+
+/**
+ * Verifies a TOTP code, allowing one step of clock drift either way
+ * Returns the matched time step (so callers can refuse replays), or null
+ */
+function verifyTotp(secret, code, lastStep) {
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - 1; step <= current + 1; step++) {
+    if (step > (lastStep || 0) && totpCode(secret, step) === String(code).trim()) return step;
+  }
+  return null;
+}
+
+/**
+ * Generates fresh recovery codes; returns the plain codes (shown once)
+ * and their hashes (stored)
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashSecret) };
+}
+
+/**
+ * Checks a second-factor answer: a current TOTP code or an unused recovery
+ * code (which is then consumed). Mutates user.twoFactor; caller saves.
+ */
+function verifySecondFactor(user, otp) {
+  const tf = user.twoFactor;
+  const value = String(otp || '').trim();
+  if (!value) return false;
+
+  const step = verifyTotp(tf.secret, value, tf.lastStep);
+  if (step !== null) {
+    tf.lastStep = step;
+    return true;
+  }
+
+  const index = (tf.recoveryCodes || []).indexOf(hashSecret(value.toLowerCase()));
+  if (index === -1) return false;
+  tf.recoveryCodes.splice(index, 1);
+  return true;
+}
+
+/* ========================================
+   API ENDPOINT - USER REGISTRATION
+   ======================================== */
+
+/**
+ * POST /api/register
+ * Creates a new user account
+ * 
+ * Request body:
+ *   - fullName (required): User's full name
+ *   - email (required): User's email address (unique)
+ *   - password (required): Plain text password (will be hashed)
+ *   - phone (optional): Contact phone number
+ *   - location (optional): User's location
+ *   - avatarUrl (optional): Link to a picture hosted elsewhere (http/https);
+ *     pictures from the user's device go through POST /api/me/avatar afterwards
+ *
+ * Roles are never taken from the request: new accounts are Standard Members,
+ * except the very first account, which bootstraps the Administrator
+ * 
+ * Response:
+ *   - success: boolean
+ *   - user: Public user object (no password hash)
+ *   - token: JWT token for session authentication
+ */
+app.post('/api/register', async (req, res, next) => {
+  const { fullName, email, phone, location, avatarUrl, password } = req.body || {};
+  
+  // Validate required fields
+  if (!fullName || !email || !password) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  const weak = passwordProblem(password);
+  if (weak) return res.status(400).json({ success: false, message: weak });
+
+  const badAvatar = avatarUrlProblem(avatarUrl);
+  if (badAvatar) return res.status(400).json({ success: false, message: badAvatar });
+
+  // Check if email already registered (prevent duplicates)
+  if (emailTaken(email)) {
+    return res.status(409).json({ success: false, message: 'Email already registered' });
+  }
+
+  // Hash password using bcryptjs (10 salt rounds)
+  const salt = await bcrypt.genSalt(10);
+  const hash = await bcrypt.hash(password, salt);
+
+  // Auto-generate memberSince as YYYY-MM format (current date)
+  const now = new Date();
+  const memberSince = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+  // Create the user with a generated ID and hashed password; counting inside
+  // the transaction means only one account can ever be the first
+  let user;
+  try {
+    user = userRepository.transaction(() => userRepository.create({
+      id: userRepository.nextId(), // Unique ID based on timestamp
+      fullName,
+      email,
+      phone: phone || '',
+      location: location || '',
+      role: userRepository.count() === 0 ? 'Administrator' : DEFAULT_ROLE,
+      avatarUrl: String(avatarUrl || '').trim(),
+      memberSince: memberSince,
+      passwordHash: hash // Never send plain password
+    }));
+  } catch (err) {
+    // Another registration took the email while the password was being hashed
+    if (isEmailConflict(err)) return res.status(409).json({ success: false, message: 'Email already registered' });
+    return next(err);
+  }
+  recordAudit(req, 'account.register', { userId: user.id, details: { email: user.email, role: user.role } });
+
+  // Return public user data (no password hash) + JWT token for auto-login
+  return res.json({ success: true, user: toPublicUser(user), token: signToken(user) });
+});
+
+/* ========================================
+   AUTH - LOGIN RATE LIMITING
+   Failed logins are counted per client IP and per account. After a few
+   free attempts every failure doubles the wait before the next one, and
+   enough failures lock logins out for a while. Counters are kept in
+   memory, so a restart clears them
+   ======================================== */
+
+const LOGIN_THROTTLE = {
+  account: { freeAttempts: 3, lockoutAfter: 10 },
+  ip: { freeAttempts: 10, lockoutAfter: 50 } // Offices and mobile networks share an IP
+};
+const LOGIN_BACKOFF_BASE_MS = 1000; // First wait past the free attempts, then doubled per failure
+const LOGIN_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_FAILURE_MEMORY_MS = 60 * 60 * 1000; // A counter starts over after an hour without failures
+
+// "ip:<address>" or "account:<id or unknown name>"
+//   -> { failures, lastFailureAt, blockedUntil, lockoutReported }
+const loginFailures = new Map();
+
+/**
+ * The counters a login attempt is checked against
+ * Known accounts are counted by ID, so switching between email and full name
+ * doesn't reset anything; unknown names get a counter of their own and are
+ * limited the same way
+ */
+function loginThrottleKeys(req, user, username) {
+  return {
+    ip: { key: `ip:${req.ip}`, limits: LOGIN_THROTTLE.ip },
+    account: { key: `account:${user ? user.id : String(username).trim().toLowerCase()}`, limits: LOGIN_THROTTLE.account }
+  };
+}
+
+/**
+ * Milliseconds until every counter allows another attempt (0 = right away)
+ */
+function loginRetryAfter(keys, now = Date.now()) {
+  return Math.max(0, ...Object.values(keys).map(({ key }) => {
+    const entry = loginFailures.get(key);
+    return entry ? entry.blockedUntil - now : 0;
+  }));
+}
+
+// Wait imposed on a counter after this many failures
+function loginWait(failures, limits) {
+  if (failures >= limits.lockoutAfter) return LOGIN_LOCKOUT_MS;
+  if (failures < limits.freeAttempts) return 0;
+  return Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - limits.freeAttempts), LOGIN_BACKOFF_MAX_MS);
+}
+
+/**
+ * Counts an attempt as a failure on every counter
+ * Done before the password is compared, so a burst of concurrent attempts
+ * can't all get past loginRetryAfter while their hashes are being checked;
+ * releaseLoginAttempt takes it back when the attempt turns out fine
+ */
+function reserveLoginAttempt(keys, now = Date.now()) {
+  Object.values(keys).forEach(({ key, limits }) => {
+    const previous = loginFailures.get(key);
+    const recent = previous && now - previous.lastFailureAt < LOGIN_FAILURE_MEMORY_MS;
+    const failures = recent ? previous.failures + 1 : 1;
+    // Still inside a lockout that was already reported: don't report it again
+    const lockoutReported = Boolean(recent && previous.blockedUntil > now && previous.lockoutReported);
+    loginFailures.set(key, { failures, lastFailureAt: now, blockedUntil: now + loginWait(failures, limits), lockoutReported });
+  });
+}
+
+function releaseLoginAttempt(keys) {
+  Object.values(keys).forEach(({ key, limits }) => {
+    const entry = loginFailures.get(key);
+    if (!entry) return;
+    if (entry.failures <= 1) {
+      loginFailures.delete(key);
+      return;
+    }
+    entry.failures--;
+    entry.blockedUntil = entry.lastFailureAt + loginWait(entry.failures, limits);
+  });
+}
+
+/**
+ * Names ('ip', 'account') of the counters whose lockout has just started
+ * Each lockout is returned once, so it is audited once however many
+ * attempts it turns away
+ */
+function takeNewLockouts(keys) {
+  return Object.keys(keys).filter(scope => {
+    const entry = loginFailures.get(keys[scope].key);
+    if (!entry || entry.failures < keys[scope].limits.lockoutAfter || entry.lockoutReported) return false;
+    entry.lockoutReported = true;
+    return true;
+  });
+}
+
+/**
+ * Responds 429 with Retry-After for a throttled login attempt
+ */
+function rejectThrottledLogin(res, retryAfterMs) {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(seconds));
+  const message = retryAfterMs > LOGIN_BACKOFF_MAX_MS
+    ? `Too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minute(s)`
+    : `Too many failed login attempts. Try again in ${seconds} second(s)`;
+  return res.status(429).json({ success: false, message, retryAfter: seconds });
+}
+
+// Forget counters that have run their course so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  loginFailures.forEach((entry, key) => {
+    if (entry.blockedUntil <= now && now - entry.lastFailureAt >= LOGIN_FAILURE_MEMORY_MS) loginFailures.delete(key);
+  });
+}, 10 * 60 * 1000).unref();
+
+/* ========================================
+   API ENDPOINT - USER LOGIN
+   ======================================== */
+
+/**
+ * POST /api/login
+ * Authenticates user with email/name and password
+ * 
+ * Request body:
+ *   - username (required): Email or full name
+ *   - password (required): Plain text password
+ *   - otp (2FA accounts): Authenticator code or an unused recovery code
+ * 
+ * Response:
+ *   - success: boolean
+ *   - user: Public user object
+ *   - token: JWT token for session authentication
+ *
+ * When the account has 2FA and no otp was sent, responds 401 with
+ * twoFactorRequired: true so the client can ask for the code
+ *
+ * Repeated failures are throttled (see LOGIN RATE LIMITING): responds 429
+ * with a Retry-After header and retryAfter (seconds) until the wait is over
+ */
+app.post('/api/login', async (req, res) => {
+  const { username, password, otp } = req.body || {};
+  
+  // Validate required fields (before any attempt is counted; bcrypt.compare
+  // rejects a non-string password and nothing would catch that)
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ success: false, message: 'Missing username or password' });
+  }
+
+  // Find user by email or full name (case-insensitive)
+  const user = userRepository.findByLogin(username);
+  const throttleKeys = loginThrottleKeys(req, user, username);
+  const userId = user ? user.id : null;
+  const login = username;
+
+  // Throttled before the password is even checked; these rejections aren't
+  // audited one by one, the lockout itself is (login.locked)
+  const retryAfter = loginRetryAfter(throttleKeys);
+  if (retryAfter > 0) return rejectThrottledLogin(res, retryAfter);
+
+  // Counted as a failure until it proves otherwise
+  reserveLoginAttempt(throttleKeys);
+  const fail = reason => {
+    recordAudit(req, 'login.failure', { userId, details: { login, reason } });
+    takeNewLockouts(throttleKeys).forEach(scope => {
+      recordAudit(req, 'login.locked', { userId, details: { login, scope, minutes: LOGIN_LOCKOUT_MS / 60000 } });
+    });
+  };
+
+  // Return 401 if user not found
+  if (!user) {
+    fail('unknown_user');
+    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  }
+
+  // Compare provided password with stored hash
+  const match = await bcrypt.compare(password, user.passwordHash || '');
+  if (!match) {
+    fail('bad_password');
+    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  }
+
+  // Checked after the password so a disabled account can't be probed for
+  if (user.disabled) {
+    releaseLoginAttempt(throttleKeys);
+    recordAudit(req, 'login.failure', { userId, details: { login, reason: 'disabled' } });
+    return res.status(403).json({ success: false, message: 'This account has been disabled' });
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    if (!otp) {
+      // Right password, code still to come: not a failed attempt
+      releaseLoginAttempt(throttleKeys);
+      return res.status(401).json({ success: false, twoFactorRequired: true, message: 'Two-factor code required' });
+    }
+    if (!verifySecondFactor(user, otp)) {
+      fail('bad_otp');
+      return res.status(401).json({ success: false, twoFactorRequired: true, message: 'Invalid two-factor code' });
+    }
+    userRepository.update(user.id, { twoFactor: user.twoFactor });
+  }
+
+  // A successful login clears the account's counter; the IP's only gets
+  // this attempt back (one good password mustn't excuse other guesses)
+  loginFailures.delete(throttleKeys.account.key);
+  releaseLoginAttempt({ ip: throttleKeys.ip });
+  recordAudit(req, 'login.success', { userId: user.id });
+
+  // Return public user data + JWT token for session management
+  return res.json({ success: true, user: toPublicUser(user), token: signToken(user) });
+});
+
+/* ========================================
+   API ENDPOINT - CURRENT SESSION
+   ======================================== */
+
+/**
+ * GET /api/me
+ * Returns the profile of the user the Bearer token belongs to
+ * The client rebuilds its cached profileData from this on every page load
+ *
+ * Headers:
+ *   - Authorization: Bearer <token>
+ *
+ * Response:
+ *   - success: boolean
+ *   - user: Public user object
+ */
+app.get('/api/me', authenticate, (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user) });
+});
+
+/**
+ * PUT /api/me
+ * Updates the signed-in user's profile (only the fields supplied are changed)
+ *
+ * Request body (all optional):
+ *   - fullName: Must not be empty
+ *   - email: Must be unique, checked the same way as /api/register
+ *   - phone, location: Contact details
+ *   - avatarUrl: Link to a picture hosted elsewhere ('' removes it); the
+ *     current value is also accepted so forms can send it back unchanged
+ *
+ * Response:
+ *   - success: boolean
+ *   - user: Updated public user object
+ */
+app.put('/api/me', authenticate, (req, res) => {
+  const body = req.body || {};
+  const user = req.user;
+  const changes = {};
+
+  if (body.fullName !== undefined && !String(body.fullName).trim()) {
+    return res.status(400).json({ success: false, message: 'Full name cannot be empty' });
+  }
+
+  if (body.email !== undefined) {
+    const email = String(body.email).trim();
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, message: 'Invalid email address' });
+    }
+    if (emailTaken(email, user.id)) {
+      return res.status(409).json({ success: false, message: 'Email already registered' });
+    }
+    changes.email = email;
+  }
+
+  if (body.avatarUrl !== undefined) {
+    const avatarUrl = String(body.avatarUrl).trim();
+    if (avatarUrl !== user.avatarUrl) {
+      const badAvatar = avatarUrlProblem(avatarUrl);
+      if (badAvatar) return res.status(400).json({ success: false, message: badAvatar });
+      changes.avatarUrl = avatarUrl;
+    }
+  }
+
+  ['fullName', 'phone', 'location'].forEach(key => {
+    if (body[key] !== undefined) changes[key] = String(body[key]).trim();
+  });
+
+  let updated;
+  try {
+    updated = userRepository.update(user.id, changes);
+  } catch (err) {
+    if (isEmailConflict(err)) return res.status(409).json({ success: false, message: 'Email already registered' });
+    throw err;
+  }
+  if (changes.avatarUrl !== undefined) removeAvatarFiles(user.avatarUrl);
+  res.json({ success: true, user: toPublicUser(updated) });
+});
+
+/**
+ * DELETE /api/me
+ * Permanently deletes the signed-in user's account
+ * Past sales keep their snapshot of the customer's name
+ *
+ * Request body:
+ *   - password (required): Current password, to confirm the deletion
+ */
+app.delete('/api/me', authenticate, async (req, res) => {
+  const { password } = req.body || {};
+  // bcrypt.compare rejects anything but a string, and nothing catches that here
+  if (typeof password !== 'string' || !password) {
+    return res.status(400).json({ success: false, message: 'Password confirmation required' });
+  }
+
+  const match = await bcrypt.compare(password, req.user.passwordHash || '');
+  // 403 rather than 401: the session itself is still valid
+  if (!match) return res.status(403).json({ success: false, message: 'Incorrect password' });
+
+  const deleted = userRepository.transaction(() => !isLastAdministrator(req.user) && userRepository.remove(req.user.id));
+  if (!deleted) {
+    return res.status(409).json({ success: false, message: 'Cannot delete the last administrator' });
+  }
+
+  recordAudit(req, 'account.delete', { userId: req.user.id, details: { email: req.user.email } });
+  removeAvatarFiles(req.user.avatarUrl);
+  res.json({ success: true });
+});
+
+/* ========================================
+   API ENDPOINTS - PROFILE PICTURE (AVATAR)
+   ======================================== */
+
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_SIZES = [64, 128, 256]; // Square thumbnails: navbar, edit preview, profile header
+const AVATAR_URL_LIMIT = 500;
+
+// "/uploads/avatars/<userId>-<random>-256.webp": the largest size is what
+// the user record stores; the other sizes share its base name
+const AVATAR_URL_PATTERN = /^\/uploads\/avatars\/(\d+-[0-9a-f]+)-\d+\.webp$/;
+
+/**
+ * Checks an avatar link given in a JSON body ('' means no avatar)
+ * Returns the problem as a message, or null when it is acceptable
+ * Inline data: URLs are refused so pictures can't end up in the user database
+ */
+function avatarUrlProblem(value) {
+  const url = String(value || '').trim();
+  if (!url) return null;
+  if (url.length > AVATAR_URL_LIMIT) return `Avatar URL must be at most ${AVATAR_URL_LIMIT} characters`;
+  if (!/^https?:\/\/[^\s]+$/i.test(url)) return 'Avatar URL must start with http:// or https://';
+  return null;
+}
+
+/**
+ * URLs of every thumbnail size of an uploaded avatar, keyed by pixel size
+ * null for external links and accounts without a picture
+ */
+function avatarThumbnails(avatarUrl) {
+  const match = AVATAR_URL_PATTERN.exec(avatarUrl || '');
+  if (!match) return null;
+  return Object.fromEntries(AVATAR_SIZES.map(size => [size, `/uploads/avatars/${match[1]}-${size}.webp`]));
+}
+
+/**
+ * Deletes the files behind an uploaded avatar (external links are left alone)
+ */
+function removeAvatarFiles(avatarUrl) {
+  removeUploadedFiles(Object.values(avatarThumbnails(avatarUrl) || {}));
+}
+
+/**
+ * Re-encodes an uploaded picture into the square WebP thumbnails
+ * rotate() applies the EXIF orientation first; sharp writes no EXIF, XMP or
+ * ICC metadata unless asked to, so location and camera details are dropped
+ * Resolves with the URL of the largest size
+ */
+async function writeAvatarFiles(userId, buffer) {
+  const name = `${userId}-${crypto.randomBytes(6).toString('hex')}`;
+  const image = sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate();
+
+  fs.mkdirSync(AVATARS_DIR, { recursive: true });
+  await Promise.all(AVATAR_SIZES.map(size => image
+    .clone()
+    .resize(size, size, { fit: 'cover' })
+    .webp({ quality: 82 })
+    .toFile(path.join(AVATARS_DIR, `${name}-${size}.webp`))));
+
+  return `/uploads/avatars/${name}-${Math.max(...AVATAR_SIZES)}.webp`;
+}
+
+const receiveAvatar = imageUpload({ field: 'avatar', maxBytes: AVATAR_MAX_BYTES });
+
+/**
+ * POST /api/me/avatar
+ * Replaces the signed-in user's profile picture
+ *
+ * Request: multipart/form-data with one file field
+ *   - avatar (required): JPEG, PNG, WebP or GIF, up to 5 MB
+ *     (GIFs keep their first frame)
+ *
+ * The picture is cropped to a square and stored as 64, 128 and 256 px WebP
+ * files; the previous upload is deleted
+ *
+ * Response:
+ *   - success: boolean
+ *   - user: Updated public user object (avatarUrl, avatarThumbnails)
+ */
+app.post('/api/me/avatar', authenticate, receiveAvatar, async (req, res) => {
+  const [file] = req.files || [];
+  if (!file) {
+    return res.status(400).json({ success: false, message: 'Send the image as the "avatar" field of a multipart form' });
+  }
+
+  const problem = await imageUploadProblem(file);
+  if (problem) return res.status(415).json({ success: false, message: problem });
+
+  let avatarUrl;
+  try {
+    avatarUrl = await writeAvatarFiles(req.user.id, file.buffer);
+  } catch (err) {
+    console.error('Avatar processing failed:', err.message);
+    return res.status(415).json({ success: false, message: 'The file is not a valid JPEG, PNG, WebP or GIF image' });
+  }
+
+  // Re-read: the upload may have taken a while
+  const previous = userRepository.findById(req.user.id);
+  const user = previous && userRepository.update(previous.id, { avatarUrl });
+  if (!user) {
+    removeAvatarFiles(avatarUrl);
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  removeAvatarFiles(previous.avatarUrl);
+
+  res.json({ success: true, user: toPublicUser(user) });
+});
+
+/**
+ * DELETE /api/me/avatar
+ * Removes the signed-in user's profile picture (uploaded files are deleted,
+ * an external link is just cleared)
+ *
+ * Response:
+ *   - success: boolean
+ *   - user: Updated public user object
+ */
+app.delete('/api/me/avatar', authenticate, (req, res) => {
+  const user = userRepository.update(req.user.id, { avatarUrl: '' });
+  removeAvatarFiles(req.user.avatarUrl);
+
+  res.json({ success: true, user: toPublicUser(user) });
+});
+
+/* ========================================
+   API ENDPOINT - PASSWORD MANAGEMENT
+   ======================================== */
+
+/**
+ * POST /api/me/password
+ * Changes the signed-in user's password
+ * Other sessions are signed out; the caller gets a fresh token
+ *
+ * Request body:
+ *   - currentPassword (required)
+ *   - newPassword (required): Must pass the strength rules
+ *
+ * Response:
+ *   - success: boolean
+ *   - token: Replacement JWT for this session
+ */
+app.post('/api/me/password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+    return res.status(400).json({ success: false, message: 'Current and new password are required' });
+  }
+
+  const match = await bcrypt.compare(currentPassword, req.user.passwordHash || '');
+  // 403 rather than 401: the session itself is still valid
+  if (!match) return res.status(403).json({ success: false, message: 'Incorrect password' });
+
+  const weak = passwordProblem(newPassword);
+  if (weak) return res.status(400).json({ success: false, message: weak });
+  if (newPassword === currentPassword) {
+    return res.status(400).json({ success: false, message: 'New password must be different from the current one' });
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+  const user = userRepository.findById(req.user.id);
+  const updated = userRepository.update(user.id, {
+    passwordHash,
+    passwordResetRequired: false,
+    sessionVersion: (user.sessionVersion || 0) + 1
+  });
+  recordAudit(req, 'password.change', { userId: user.id });
+
+  res.json({ success: true, token: signToken(updated) });
+});
+
+/**
+ * POST /api/password/forgot
+ * Emails (to the outbox file) a single-use reset link valid for 30 minutes
+ * Always responds the same way so it can't be used to discover accounts
+ *
+ * Request body:
+ *   - email (required)
+ */
+app.post('/api/password/forgot', (req, res) => {
+  const email = String((req.body || {}).email || '').trim().toLowerCase();
+  if (!email) return res.status(400).json({ success: false, message: 'Email is required' });
+
+  const user = userRepository.findByEmail(email);
+
+  if (user && !user.disabled) {
+    const token = crypto.randomBytes(32).toString('hex');
+    // Only the hash is stored; requesting a new link replaces the old one
+    userRepository.update(user.id, { passwordReset: { tokenHash: hashSecret(token), expiresAt: Date.now() + RESET_TOKEN_TTL_MS } });
+
+    sendMail(user.email, 'Reset your Hanire password',
+      `Hi ${user.fullName},\n\nUse this link within 30 minutes to choose a new password:\n` +
+      `${APP_ORIGIN}/app/views/reset-password.html?token=${token}\n\n` +
+      'If you did not ask for this, you can ignore this email.');
+  }
+
+  res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+});
+
+/**
+ * POST /api/password/reset
+ * Sets a new password using a token from /api/password/forgot
+ * The token is consumed and every existing session is signed out
+ *
+ * Request body:
+ *   - token (required)
+ *   - newPassword (required): Must pass the strength rules
+ */
+app.post('/api/password/reset', async (req, res) => {
+  const { token, newPassword } = req.body || {};
+  const tokenHash = hashSecret(token);
+  const user = token && userRepository.findByResetToken(tokenHash);
+
+  if (!user || user.passwordReset.expiresAt < Date.now()) {
+    return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+  }
+
+  const weak = passwordProblem(newPassword);
+  if (weak) return res.status(400).json({ success: false, message: weak });
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  // Consumed only if still unused: two requests racing with the same link
+  // can't both set a password
+  const updated = userRepository.transaction(() => {
+    const current = userRepository.findByResetToken(tokenHash);
+    return current && userRepository.update(current.id, {
+      passwordHash,
+      passwordResetRequired: false,
+      sessionVersion: (current.sessionVersion || 0) + 1,
+      passwordReset: null
+    });
+  });
+  if (!updated) return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+  recordAudit(req, 'password.reset', { userId: updated.id });
+
+  res.json({ success: true, message: 'Password updated. You can now sign in.' });
+});
+
+/* ========================================
+   API ENDPOINT - TWO-FACTOR AUTHENTICATION
+   ======================================== */
+
+/**
+ * POST /api/me/2fa/setup
+ * Starts enrolment: creates a pending TOTP secret
+ * 2FA isn't active until the first code is confirmed via /api/me/2fa/enable
+ *
+ * Response:
+ *   - success: boolean
+ *   - secret: Base32 secret for manual entry
+ *   - otpauthUri: otpauth:// URI for authenticator apps / QR codes
+ */
+app.post('/api/me/2fa/setup', authenticate, (req, res) => {
+  const user = req.user;
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  userRepository.update(user.id, { twoFactor: { enabled: false, pendingSecret: secret } });
+
+  const label = encodeURIComponent(`Hanire:${user.email}`);
+  res.json({ success: true, secret, otpauthUri: `otpauth://totp/${label}?secret=${secret}&issuer=Hanire&period=${TOTP_STEP_SECONDS}&digits=6` });
+});
+
+/**
+ * POST /api/me/2fa/enable
+ * Confirms enrolment with a code from the authenticator app
+ *
+ * Request body:
+ *   - code (required): Current 6-digit code
+ *
+ * Response:
+ *   - success: boolean
+ *   - recoveryCodes: One-time backup codes, shown only now
+ */
+app.post('/api/me/2fa/enable', authenticate, (req, res) => {
+  const user = req.user;
+  const pending = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pending) return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+
+  const step = verifyTotp(pending, (req.body || {}).code);
+  if (step === null) return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+
+  const { codes, hashes } = generateRecoveryCodes();
+  userRepository.update(user.id, { twoFactor: { enabled: true, secret: pending, lastStep: step, recoveryCodes: hashes } });
+
+  res.json({ success: true, recoveryCodes: codes });
+});
+
+/**
+ * POST /api/me/2fa/recovery-codes
+ * Replaces the recovery codes (the old ones stop working)
+ *
+ * Request body:
+ *   - password (required)
+ */
+app.post('/api/me/2fa/recovery-codes', authenticate, async (req, res) => {
+  if (!(req.user.twoFactor && req.user.twoFactor.enabled)) {
+    return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+  }
+  const match = await bcrypt.compare(String((req.body || {}).password || ''), req.user.passwordHash || '');
+  if (!match) return res.status(403).json({ success: false, message: 'Incorrect password' });
+
+  // Re-read: a sign-in may have used up a code during the password check
+  const user = userRepository.findById(req.user.id);
+  const { codes, hashes } = generateRecoveryCodes();
+  userRepository.update(user.id, { twoFactor: { ...user.twoFactor, recoveryCodes: hashes } });
+
+  res.json({ success: true, recoveryCodes: codes });
+});
+
+/**
+ * POST /api/me/2fa/disable
+ * Turns two-factor authentication off
+ *
+ * Request body:
+ *   - password (required)
+ */
+app.post('/api/me/2fa/disable', authenticate, async (req, res) => {
+  const match = await bcrypt.compare(String((req.body || {}).password || ''), req.user.passwordHash || '');
+  if (!match) return res.status(403).json({ success: false, message: 'Incorrect password' });
+
+  userRepository.update(req.user.id, { twoFactor: null });
+
+  res.json({ success: true });
+});
+
+/* ========================================
+   API ENDPOINT - USER SETTINGS
+   ======================================== */
+
+/**
+ * Settings schema: section -> key -> default value
+ * The second entry lists the allowed values (an array, or a function returning
+ * one); otherwise the type of the default (boolean) is enforced
+ */
+const SETTINGS_SCHEMA = {
+  privacy: {
+    showProfile: [true],
+    allowContact: [true],
+    sharePurchaseHistory: [false],
+    marketingEmails: [true]
+  },
+  notifications: {
+    email: [true],
+    orderUpdates: [true],
+    promotions: [true],
+    serviceReminders: [true],
+    frequency: ['monthly', ['weekly', 'monthly', 'quarterly', 'never']]
+  },
+  preferences: {
+    language: ['en', ['en', 'es', 'fr', 'de']],
+    theme: ['dark', ['dark', 'light', 'auto']],
+    currency: ['PHP', () => Object.keys(readRates().rates)],
+    advancedFeatures: [true]
+  }
+};
+
+/**
+ * Returns the user's full settings document: stored values over defaults
+ */
+function resolveSettings(stored) {
+  const settings = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(section => {
+    settings[section] = {};
+    Object.keys(SETTINGS_SCHEMA[section]).forEach(key => {
+      const saved = stored && stored[section] && stored[section][key];
+      settings[section][key] = saved !== undefined ? saved : SETTINGS_SCHEMA[section][key][0];
+    });
+  });
+  return settings;
+}
+
+/**
+ * Validates a partial settings document (any subset of sections/keys)
+ * Returns an array of error messages; unknown sections and keys are errors
+ */
+function validateSettings(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return ['Settings must be an object'];
+
+  // Own properties only: "__proto__" or "toString" must not reach Object.prototype
+  Object.keys(body).forEach(section => {
+    const schema = Object.hasOwn(SETTINGS_SCHEMA, section) && SETTINGS_SCHEMA[section];
+    if (!schema) return errors.push(`Unknown settings section: ${section}`);
+    if (!body[section] || typeof body[section] !== 'object' || Array.isArray(body[section])) return errors.push(`${section} must be an object`);
+
+    Object.keys(body[section]).forEach(key => {
+      const rule = Object.hasOwn(schema, key) && schema[key];
+      const value = body[section][key];
+      if (!rule) return errors.push(`Unknown setting: ${section}.${key}`);
+
+      const [fallback, options] = rule;
+      const allowed = typeof options === 'function' ? options() : options;
+      if (allowed && !allowed.includes(value)) {
+        errors.push(`${section}.${key} must be one of: ${allowed.join(', ')}`);
+      } else if (!allowed && typeof value !== typeof fallback) {
+        errors.push(`${section}.${key} must be a ${typeof fallback}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * GET /api/me/settings
+ * Returns the signed-in user's settings, with defaults filled in
+ *
+ * Response:
+ *   - success: boolean
+ *   - settings: { privacy, notifications, preferences }
+ */
+app.get('/api/me/settings', authenticate, (req, res) => {
+  res.json({ success: true, settings: resolveSettings(req.user.settings) });
+});
+
+/**
+ * PUT /api/me/settings
+ * Updates any subset of settings, e.g. { preferences: { theme: 'light' } }
+ * The whole request is rejected if any value is invalid
+ *
+ * Response:
+ *   - success: boolean
+ *   - settings: Full updated settings document
+ */
+app.put('/api/me/settings', authenticate, (req, res) => {
+  const errors = validateSettings(req.body);
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  const settings = resolveSettings(req.user.settings);
+  Object.keys(req.body).forEach(section => Object.assign(settings[section], req.body[section]));
+
+  userRepository.update(req.user.id, { settings });
+  res.json({ success: true, settings });
+});
+
+/* ========================================
+   API ENDPOINT - USER DIRECTORY & ROLES
+   ======================================== */
+
+/**
+ * GET /api/users
+ * Returns the customer directory sales staff pick buyers from when
+ * recording a sale (requires sales:record). Admins use /api/admin/users.
+ * 
+ * Response: Array of user objects with id, fullName, email
+ */
+app.get('/api/users', requirePermission('sales:record'), (req, res) => {
+  const users = userRepository.list();
+  // Return only public info (never send password hashes)
+  const publicOnly = users.map(u => ({ id: u.id, fullName: u.fullName, email: u.email }));
+  res.json(publicOnly);
+});
+
+/**
+ * PUT /api/users/:id/role
+ * PUT /api/admin/users/:id/role
+ * Changes a user's role (requires users:manage)
+ *
+ * Request body:
+ *   - role (required): One of the keys of ROLES
+ *
+ * Response:
+ *   - success: boolean
+ *   - user: Updated admin user object
+ */
+function updateUserRole(req, res) {
+  const { role } = req.body || {};
+  if (!ROLES[role]) {
+    return res.status(400).json({ success: false, message: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+  }
+
+  const user = userRepository.findById(req.params.id);
+  if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+  // Never leave the system without an administrator
+  if (isLastAdministrator(user) && !ROLES[role].includes('users:manage')) {
+    return res.status(409).json({ success: false, message: 'Cannot demote the last administrator' });
+  }
+
+  const updated = userRepository.update(user.id, { role });
+  if (role !== user.role) recordAudit(req, 'role.change', { userId: user.id, details: { from: user.role, to: role } });
+  res.json({ success: true, user: toAdminUser(updated) });
+}
+
+app.put('/api/users/:id/role', requirePermission('users:manage'), updateUserRole);
+
+/* ========================================
+   ADMIN - USER MANAGEMENT
+   All routes require users:manage
+   ======================================== */
+
+const ADMIN_PAGE_SIZE = 20;
+
+/**
+ * Public user fields plus the account state only admins see
+ */
+function toAdminUser(user) {
+  return { ...toPublicUser(user), disabled: Boolean(user.disabled) };
+}
+
+/**
+ * True when user is the only active account able to manage users
+ * Guards role changes, disabling and deletion from locking admins out
+ */
+function isLastAdministrator(user) {
+  const admins = userRepository.list().filter(u => !u.disabled && permissionsFor(u.role).includes('users:manage'));
+  return admins.length === 1 && admins[0].id === user.id;
+}
+
+/**
+ * Middleware: loads the user named by :id into req.target
+ */
+function loadTargetUser(req, res, next) {
+  req.target = userRepository.findById(req.params.id);
+  if (!req.target) return res.status(404).json({ success: false, message: 'User not found' });
+  next();
+}
+
+/**
+ * GET /api/admin/users
+ * Lists accounts with search and pagination
+ *
+ * Query params (all optional):
+ *   - q: Matches name, email, phone or location (case-insensitive)
+ *   - role: Exact role name
+ *   - status: active | disabled
+ *   - page: 1-based page number
+ *   - pageSize: Results per page (max 100, default 20)
+ *
+ * Response: { results, total, page, pageSize, totalPages }
+ */
+app.get('/api/admin/users', requirePermission('users:manage'), (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const { role, status } = req.query;
+
+  const matches = userRepository.list()
+    .filter(u => !q || [u.fullName, u.email, u.phone, u.location].some(v => String(v || '').toLowerCase().includes(q)))
+    .filter(u => !role || u.role === role)
+    .filter(u => !status || (status === 'disabled') === Boolean(u.disabled))
+    .sort((a, b) => String(a.fullName).localeCompare(String(b.fullName)));
+
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || ADMIN_PAGE_SIZE, 1), 100);
+  const totalPages = Math.max(Math.ceil(matches.length / pageSize), 1);
+  const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+
+  res.json({
+    results: matches.slice((page - 1) * pageSize, page * pageSize).map(toAdminUser),
+    total: matches.length,
+    page,
+    pageSize,
+    totalPages
+  });
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Returns one account's profile and status
+ */
+app.get('/api/admin/users/:id', requirePermission('users:manage'), loadTargetUser, (req, res) => {
+  res.json({ success: true, user: toAdminUser(req.target) });
+});
+
+app.put('/api/admin/users/:id/role', requirePermission('users:manage'), updateUserRole);
+
+/**
+ * POST /api/admin/users/:id/disable
+ * POST /api/admin/users/:id/enable
+ * Disabled accounts can't log in and their existing sessions stop working
+ */
+function setUserDisabled(disable) {
+  return (req, res) => {
+    if (disable && req.target.id === req.user.id) {
+      return res.status(409).json({ success: false, message: 'You cannot disable your own account' });
+    }
+    if (disable && isLastAdministrator(req.target)) {
+      return res.status(409).json({ success: false, message: 'Cannot disable the last administrator' });
+    }
+
+    const user = userRepository.update(req.target.id, { disabled: disable });
+    if (disable !== Boolean(req.target.disabled)) recordAudit(req, disable ? 'account.disable' : 'account.enable', { userId: user.id });
+    res.json({ success: true, user: toAdminUser(user) });
+  };
+}
+
+app.post('/api/admin/users/:id/disable', requirePermission('users:manage'), loadTargetUser, setUserDisabled(true));
+app.post('/api/admin/users/:id/enable', requirePermission('users:manage'), loadTargetUser, setUserDisabled(false));
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Forces a password reset: replaces the password with a one-time temporary
+ * password, signs the user out everywhere and flags the account so the
+ * client asks for a new password after the next login
+ *
+ * Response:
+ *   - success: boolean
+ *   - temporaryPassword: Shown to the admin once, to pass on to the user
+ *   - user: Updated admin user object
+ */
+app.post('/api/admin/users/:id/reset-password', requirePermission('users:manage'), loadTargetUser, async (req, res) => {
+  const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+  const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+  const target = userRepository.findById(req.target.id);
+  if (!target) return res.status(404).json({ success: false, message: 'User not found' });
+  const user = userRepository.update(target.id, {
+    passwordHash,
+    passwordResetRequired: true,
+    sessionVersion: (target.sessionVersion || 0) + 1
+  });
+  recordAudit(req, 'password.admin_reset', { userId: user.id });
+
+  res.json({ success: true, temporaryPassword, user: toAdminUser(user) });
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Permanently deletes another user's account
+ * (admins remove their own account through DELETE /api/me)
+ */
+app.delete('/api/admin/users/:id', requirePermission('users:manage'), loadTargetUser, (req, res) => {
+  if (req.target.id === req.user.id) {
+    return res.status(409).json({ success: false, message: 'Use Settings to delete your own account' });
+  }
+  const deleted = userRepository.transaction(() => !isLastAdministrator(req.target) && userRepository.remove(req.target.id));
+  if (!deleted) {
+    return res.status(409).json({ success: false, message: 'Cannot delete the last administrator' });
+  }
+
+  recordAudit(req, 'account.delete', { userId: req.target.id, details: { email: req.target.email } });
+  removeAvatarFiles(req.target.avatarUrl);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Security events, newest first (requires audit:view)
+ *
+ * Query params (all optional):
+ *   - userId: Events about that account or performed by it
+ *   - event: One of AUDIT_EVENTS, or several separated by commas
+ *   - from, to: Inclusive date range (YYYY-MM-DD, UTC)
+ *   - page: 1-based page number
+ *   - pageSize: Results per page (max 200, default 50)
+ *
+ * Response: { results, total, page, pageSize, totalPages }
+ *   results: [{ id, at, event, userId, actorId, ip, details }]
+ */
+app.get('/api/admin/audit-log', requirePermission('audit:view'), (req, res) => {
+  const { from, to } = req.query;
+  const errors = [];
+
+  const userId = req.query.userId ? Number(req.query.userId) : undefined;
+  if (userId !== undefined && !Number.isInteger(userId)) errors.push('userId must be a number');
+
+  const events = req.query.event ? String(req.query.event).split(',').map(event => event.trim()) : [];
+  if (events.some(event => !AUDIT_EVENTS.includes(event))) errors.push(`event must be one of: ${AUDIT_EVENTS.join(', ')}`);
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) errors.push('from/to must be valid YYYY-MM-DD dates');
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || AUDIT_PAGE_SIZE, 1), 200);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const { results, total } = auditLog.query({ userId, events, from, to, limit: pageSize, offset: (page - 1) * pageSize });
+
+  res.json({ results, total, page, pageSize, totalPages: Math.max(Math.ceil(total / pageSize), 1) });
+});
+
+/* ========================================
+   VEHICLE INVENTORY - VALIDATION
+   ======================================== */
+
+const VEHICLE_CATEGORIES = ['CASUAL', 'SUPERCAR'];
+
+/**
+ * Validates and normalizes a vehicle payload
+ * When partial is true (PUT), only the fields present are checked
+ *
+ * Returns { errors, vehicle } where errors is an array of messages
+ * and vehicle contains only the accepted, normalized fields
+ */
+function validateVehicle(body, partial = false) {
+  const input = body || {};
+  const errors = [];
+  const vehicle = {};
+  const has = key => input[key] !== undefined;
+
+  ['make', 'model', 'description'].forEach(key => {
+    if (!has(key)) {
+      if (!partial && key !== 'description') errors.push(`${key} is required`);
+      return;
+    }
+    if (typeof input[key] !== 'string' || (key !== 'description' && !input[key].trim())) {
+      errors.push(`${key} must be a non-empty string`);
+      return;
+    }
+    vehicle[key] = input[key].trim();
+  });
+
+  if (has('category')) {
+    const category = String(input.category).toUpperCase();
+    if (!VEHICLE_CATEGORIES.includes(category)) errors.push(`category must be one of ${VEHICLE_CATEGORIES.join(', ')}`);
+    else vehicle.category = category;
+  } else if (!partial) {
+    errors.push('category is required');
+  }
+
+  if (has('year')) {
+    const year = Number(input.year);
+    if (!Number.isInteger(year) || year < 1886 || year > new Date().getFullYear() + 2) errors.push('year must be a valid model year');
+    else vehicle.year = year;
+  } else if (!partial) {
+    errors.push('year is required');
+  }
+
+  if (has('price')) {
+    const price = Number(input.price);
+    if (!Number.isFinite(price) || price < 0) errors.push('price must be a non-negative number');
+    else vehicle.price = price;
+  } else if (!partial) {
+    errors.push('price is required');
+  }
+
+  if (has('stock')) {
+    const stock = Number(input.stock);
+    if (!Number.isInteger(stock) || stock < 0) errors.push('stock must be a non-negative integer');
+    else vehicle.stock = stock;
+  }
+
+  // Spec sheet fields (all optional)
+  if (has('horsepower')) {
+    const horsepower = Number(input.horsepower);
+    if (!Number.isInteger(horsepower) || horsepower <= 0) errors.push('horsepower must be a positive integer');
+    else vehicle.horsepower = horsepower;
+  }
+
+  if (has('zeroToHundred')) {
+    const zeroToHundred = Number(input.zeroToHundred);
+    if (!Number.isFinite(zeroToHundred) || zeroToHundred <= 0) errors.push('zeroToHundred must be a positive number of seconds');
+    else vehicle.zeroToHundred = zeroToHundred;
+  }
+
+  ['engine', 'drivetrain'].forEach(key => {
+    if (!has(key)) return;
+    if (typeof input[key] !== 'string') errors.push(`${key} must be a string`);
+    else vehicle[key] = input[key].trim();
+  });
+
+  if (has('images')) {
+    if (!Array.isArray(input.images) || input.images.some(img => typeof img !== 'string' || !img.trim())) {
+      errors.push('images must be an array of image paths');
+    } else {
+      vehicle.images = input.images.map(img => img.trim());
+    }
+  }
+
+  // Defaults for optional fields on create
+  if (!partial) {
+    if (vehicle.description === undefined) vehicle.description = '';
+    if (vehicle.stock === undefined) vehicle.stock = 0;
+    if (vehicle.images === undefined) vehicle.images = [];
+  }
+
+  return { errors, vehicle };
+}
+
+/* ========================================
+   API ENDPOINT - VEHICLE SEARCH
+   ======================================== */
+
+const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'performance'];
+const SEARCH_MAX_PAGE_SIZE = 50;
+
+/**
+ * Parses an optional numeric query parameter
+ * Returns undefined when absent or not a number
+ */
+function numberParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Scores a vehicle against search terms
+ * Every term must appear in make, model, year or description; make/model hits weigh more
+ * Returns 0 when the vehicle doesn't match
+ */
+function searchScore(vehicle, terms) {
+  const title = `${vehicle.make} ${vehicle.model} ${vehicle.year}`.toLowerCase();
+  const description = (vehicle.description || '').toLowerCase();
+  let score = 0;
+
+  for (const term of terms) {
+    const inTitle = title.includes(term);
+    const inDescription = description.includes(term);
+    if (!inTitle && !inDescription) return 0;
+    score += (inTitle ? 3 : 0) + (inDescription ? 1 : 0);
+  }
+  return score;
+}
+
+/**
+ * Builds facet counts and ranges for a list of vehicles
+ * Used by the client to populate the filter controls
+ */
+function buildFacets(vehicles) {
+  const count = (key) => vehicles.reduce((acc, v) => {
+    acc[v[key]] = (acc[v[key]] || 0) + 1;
+    return acc;
+  }, {});
+  const range = (key) => {
+    const values = vehicles.map(v => v[key]).filter(n => typeof n === 'number');
+    return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+  };
+
+  return {
+    categories: count('category'),
+    makes: count('make'),
+    price: range('price'),
+    year: range('year'),
+    horsepower: range('horsepower')
+  };
+}
+
+/**
+ * GET /api/vehicles/search
+ * Full-text search with faceted filters, sorting and pagination
+ *
+ * Query params (all optional):
+ *   - q: Search text, matched against make/model/year/description
+ *   - category: CASUAL or SUPERCAR
+ *   - make: Brand, or several comma-separated brands
+ *   - minPrice, maxPrice, minYear, maxYear, minHp, maxHp: Range filters
+ *   - sort: relevance | price_asc | price_desc | newest | performance
+ *   - page (default 1), pageSize (default 12, max 50)
+ *
+ * Response:
+ *   - results: Vehicles on the requested page
+ *   - total, page, pageSize, totalPages
+ *   - facets: Category/brand counts and price/year/hp ranges across the whole inventory
+ */
+app.get('/api/vehicles/search', (req, res) => {
+  const query = req.query;
+  const all = readVehicles();
+
+  const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const makes = String(query.make || '').split(',').map(m => m.trim().toLowerCase()).filter(Boolean);
+  const category = query.category ? String(query.category).toUpperCase() : '';
+  const ranges = [
+    ['price', numberParam(query.minPrice), numberParam(query.maxPrice)],
+    ['year', numberParam(query.minYear), numberParam(query.maxYear)],
+    ['horsepower', numberParam(query.minHp), numberParam(query.maxHp)]
+  ];
+
+  let results = all
+    .map(vehicle => ({ vehicle, score: terms.length ? searchScore(vehicle, terms) : 1 }))
+    .filter(({ vehicle, score }) => {
+      if (!score) return false;
+      if (category && vehicle.category !== category) return false;
+      if (makes.length && !makes.includes(vehicle.make.toLowerCase())) return false;
+      return ranges.every(([key, min, max]) => {
+        if (min === undefined && max === undefined) return true;
+        const value = vehicle[key];
+        if (typeof value !== 'number') return false;
+        return (min === undefined || value >= min) && (max === undefined || value <= max);
+      });
+    });
+
+  const sort = SEARCH_SORTS.includes(query.sort) ? query.sort : 'relevance';
+  const comparators = {
+    relevance: (a, b) => b.score - a.score,
+    price_asc: (a, b) => a.vehicle.price - b.vehicle.price,
+    price_desc: (a, b) => b.vehicle.price - a.vehicle.price,
+    newest: (a, b) => b.vehicle.year - a.vehicle.year,
+    performance: (a, b) => (b.vehicle.horsepower || 0) - (a.vehicle.horsepower || 0)
+  };
+  results.sort(comparators[sort]);
+
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || 12, 1), SEARCH_MAX_PAGE_SIZE);
+  const total = results.length;
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), totalPages);
+
+  results = results.slice((page - 1) * pageSize, page * pageSize).map(r => r.vehicle);
+
+  res.json({ results, total, page, pageSize, totalPages, sort, facets: buildFacets(all) });
+});
+
+/* ========================================
+   DATA EXPORT & IMPORT - CSV HELPERS
+   ======================================== */
+
+const SALE_CSV_COLUMNS = ['id', 'userId', 'customerName', 'vehicleId', 'vehicleName', 'category', 'price', 'currency', 'purchaseDate', 'country'];
+const VEHICLE_CSV_COLUMNS = ['id', 'make', 'model', 'year', 'category', 'price', 'stock', 'horsepower', 'zeroToHundred', 'engine', 'drivetrain', 'description', 'images'];
+
+/**
+ * Escapes one CSV cell
+ * Cells starting with = + - @ get a leading apostrophe so spreadsheets don't run them as formulas
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = Array.isArray(value) ? value.join('|') : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes an array of objects to CSV with a header row
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting) into [{ line, cells }], where line is
+ * the 1-based line of the file the record starts on
+ * Blank lines are skipped but still counted, so line numbers match the file
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell); cell = '';
+    if (row.some(c => c !== '')) rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') { i++; line++; }
+      endRow();
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Sends data as a CSV or JSON download depending on ?format=
+ */
+function sendExport(res, format, basename, rows, columns) {
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}-${date}.csv"`);
+    return res.send(toCsv(rows, columns));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}-${date}.json"`);
+  return res.json(rows);
+}
+
+/**
+ * Validates one imported sales row against the inventory and user list
+ * Returns { errors, sale } — sale is only usable when errors is empty
+ */
+function validateImportedSale(record, vehicles, users) {
+  const errors = [];
+  const clean = key => String(record[key] || '').trim().replace(/^'(?=[=+\-@])/, '');
+
+  const vehicle = vehicles.find(v => String(v.id) === clean('vehicleId'));
+  if (!clean('vehicleId')) errors.push('vehicleId is required');
+  else if (!vehicle) errors.push(`Unknown vehicle ${clean('vehicleId')}`);
+
+  let user = null;
+  if (clean('userId')) {
+    user = users.find(u => String(u.id) === clean('userId'));
+    if (!user) errors.push(`Unknown user ${clean('userId')}`);
+  } else if (!clean('customerName')) {
+    errors.push('userId or customerName is required');
+  }
+
+  const price = Number(clean('price'));
+  if (clean('price') === '' || !Number.isFinite(price)) errors.push('price must be a number');
+  else if (price < 0) errors.push('price must not be negative');
+
+  const pricing = priceSaleInBase(price, clean('currency'));
+  if (pricing.error) errors.push(pricing.error);
+
+  if (!isValidDate(clean('purchaseDate'))) errors.push(`Bad date "${clean('purchaseDate')}" (expected YYYY-MM-DD)`);
+  if (!clean('country')) errors.push('country is required');
+
+  if (errors.length) return { errors, sale: null };
+
+  return {
+    errors,
+    sale: {
+      userId: user ? user.id : null,
+      customerName: user ? user.fullName : clean('customerName'),
+      vehicleId: vehicle.id,
+      vehicleName: `${vehicle.make} ${vehicle.model}`,
+      category: vehicle.category,
+      ...pricing.fields,
+      purchaseDate: clean('purchaseDate'),
+      country: clean('country')
+    }
+  };
+}
+
+/* ========================================
+   API ENDPOINTS - DATA EXPORT & IMPORT
+   Registered before /api/vehicles/:id so "export" isn't read as an ID
+   ======================================== */
+
+/**
+ * GET /api/sales/export?format=csv|json
+ * Downloads the sales ledger; accepts the same filters as GET /api/sales
+ */
+app.get('/api/sales/export', requirePermission('sales:view'), (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  sendExport(res, format, 'sales', filterSales(readSales(), req.query), SALE_CSV_COLUMNS);
+});
+
+/**
+ * GET /api/vehicles/export?format=csv|json
+ * Downloads the vehicle inventory (images are joined with "|" in CSV)
+ */
+app.get('/api/vehicles/export', requirePermission('inventory:manage'), (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  sendExport(res, format, 'inventory', readVehicles(), VEHICLE_CSV_COLUMNS);
+});
+
+/**
+ * POST /api/sales/import
+ * Bulk-imports historical sales from a CSV body (Content-Type: text/csv)
+ *
+ * The header row must name the columns; vehicleId, price, purchaseDate, country
+ * and either userId or customerName are required. Imported rows are historical
+ * records and don't change stock. The file is applied all-or-nothing: if any row
+ * fails validation nothing is written.
+ *
+ * Response:
+ *   - success: boolean
+ *   - imported: Number of sales added
+ *   - errors: [{ row, errors }] per failing row, row being its line in the file
+ */
+app.post('/api/sales/import', requirePermission('sales:import'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ success: false, message: 'Send the CSV file as a text/csv request body' });
+  }
+
+  const [header, ...records] = parseCsv(req.body.replace(/^\uFEFF/, ''));
+  if (!header) return res.status(400).json({ success: false, message: 'The CSV is empty or missing its header row' });
+  const columns = header.cells.map(h => h.trim());
+  const missing = ['vehicleId', 'price', 'purchaseDate', 'country'].filter(c => !columns.includes(c));
+  if (missing.length) {
+    return res.status(400).json({ success: false, message: `Missing column(s): ${missing.join(', ')}` });
+  }
+  if (!records.length) return res.status(400).json({ success: false, message: 'The file has no data rows' });
+
+  const vehicles = readVehicles();
+  const users = userRepository.list();
+  const report = [];
+  const imported = [];
+
+  records.forEach(({ line, cells }) => {
+    const record = {};
+    columns.forEach((col, i) => { record[col] = cells[i]; });
+    const { errors, sale } = validateImportedSale(record, vehicles, users);
+    if (errors.length) report.push({ row: line, errors });
+    else imported.push(sale);
+  });
+
+  if (report.length) {
+    return res.status(422).json({
+      success: false,
+      message: `${report.length} of ${records.length} row(s) failed validation; nothing was imported`,
+      imported: 0,
+      errors: report
+    });
+  }
+
+  const sales = readSales();
+  const baseId = Date.now();
+  imported.forEach((sale, i) => sales.push({ id: baseId + i, ...sale }));
+  writeSales(sales);
+
+  res.status(201).json({ success: true, imported: imported.length, errors: [] });
+});
+
+/* ========================================
+   API ENDPOINTS - VEHICLE INVENTORY
+   ======================================== */
+
+/**
+ * GET /api/vehicles
+ * Returns the vehicle inventory, optionally filtered
+ *
+ * Query params:
+ *   - category (optional): CASUAL or SUPERCAR
+ *   - make (optional): Brand name (case-insensitive)
+ *
+ * Response: Array of vehicle objects
+ */
+app.get('/api/vehicles', (req, res) => {
+  const { category, make } = req.query;
+  let vehicles = readVehicles();
+
+  if (category) vehicles = vehicles.filter(v => v.category === String(category).toUpperCase());
+  if (make) vehicles = vehicles.filter(v => v.make.toLowerCase() === String(make).toLowerCase());
+
+  res.json(vehicles);
+});
+
+/**
+ * GET /api/vehicles/:id
+ * Returns a single vehicle by ID
+ */
+app.get('/api/vehicles/:id', (req, res) => {
+  const vehicle = readVehicles().find(v => String(v.id) === req.params.id);
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  res.json(vehicle);
+});
+
+/**
+ * POST /api/vehicles
+ * Adds a vehicle to the inventory
+ *
+ * Request body:
+ *   - make, model, year, category, price (required)
+ *   - stock, description, images (optional)
+ *   - horsepower, zeroToHundred, engine, drivetrain (optional spec sheet)
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicle: The created vehicle
+ */
+app.post('/api/vehicles', requirePermission('inventory:manage'), (req, res) => {
+  const { errors, vehicle } = validateVehicle(req.body);
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  const vehicles = readVehicles();
+  const created = { id: Date.now(), ...vehicle };
+  vehicles.push(created);
+  writeVehicles(vehicles);
+
+  res.status(201).json({ success: true, vehicle: created });
+});
+
+/**
+ * PUT /api/vehicles/:id
+ * Updates an existing vehicle (only the fields supplied are changed)
+ * Stored photos left out of a new images list are deleted from the store
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicle: The updated vehicle
+ */
+app.put('/api/vehicles/:id', requirePermission('inventory:manage'), (req, res) => {
+  const vehicles = readVehicles();
+  const index = vehicles.findIndex(v => String(v.id) === req.params.id);
+  if (index === -1) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  const { errors, vehicle } = validateVehicle(req.body, true);
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  const previousImages = vehicles[index].images || [];
+  vehicles[index] = { ...vehicles[index], ...vehicle, id: vehicles[index].id };
+  writeVehicles(vehicles);
+  removeVehicleImageFiles(previousImages.filter(url => !(vehicles[index].images || []).includes(url)));
+
+  res.json({ success: true, vehicle: vehicles[index] });
+});
+
+/**
+ * DELETE /api/vehicles/:id
+ * Removes a vehicle from the inventory, along with its stored photos
+ */
+app.delete('/api/vehicles/:id', requirePermission('inventory:manage'), (req, res) => {
+  const vehicles = readVehicles();
+  const index = vehicles.findIndex(v => String(v.id) === req.params.id);
+  if (index === -1) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  const [removed] = vehicles.splice(index, 1);
+  writeVehicles(vehicles);
+  removeVehicleImageFiles(removed.images || []);
+
+  res.json({ success: true, vehicle: removed });
+});
+
+/* ========================================
+   VEHICLE MEDIA - PHOTO STORE
+   vehicle.images stays an ordered list of URLs (the first one is the cover);
+   photos in the store are WebP files in several widths under uploads/vehicles
+   ======================================== */
+
+const VEHICLE_IMAGE_WIDTHS = [320, 640, 1280]; // Catalog card, detail thumbnail / phone, detail page
+const VEHICLE_IMAGE_LIMIT = 20; // Photos per vehicle
+const VEHICLE_UPLOAD_BATCH = 10; // Photos per upload request
+const VEHICLE_IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const VEHICLE_IMAGE_FETCH_TIMEOUT = 15 * 1000; // For the whole download, redirects included
+const VEHICLE_IMAGE_MAX_REDIRECTS = 3;
+
+// Addresses a linked photo may not point at: loopback, private and link-local
+// networks (cloud metadata lives at 169.254.169.254), CGNAT, documentation,
+// multicast and reserved ranges, plus IPv6 forms that embed an IPv4 address
+// (BlockList already checks "::ffff:a.b.c.d" against the IPv4 ranges)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// "/uploads/vehicles/<vehicleId>-<random>-1280.webp": the largest width is
+// what vehicle.images stores; the other widths share its base name
+const VEHICLE_IMAGE_PATTERN = /^\/uploads\/vehicles\/(\d+-[0-9a-f]+)-\d+\.webp$/;
+
+/**
+ * URLs of every width of a stored photo, keyed by pixel width
+ * null for linked photos that are not in the store
+ */
+function vehicleImageVariants(url) {
+  const match = VEHICLE_IMAGE_PATTERN.exec(url || '');
+  if (!match) return null;
+  return Object.fromEntries(VEHICLE_IMAGE_WIDTHS.map(width => [width, `/uploads/vehicles/${match[1]}-${width}.webp`]));
+}
+
+/**
+ * Deletes the stored files behind photo URLs (linked photos are left alone)
+ */
+function removeVehicleImageFiles(urls) {
+  removeUploadedFiles(urls.flatMap(url => Object.values(vehicleImageVariants(url) || {})));
+}
+
+/**
+ * Re-encodes a photo into the store, one WebP per width (never enlarged)
+ * Metadata is dropped the same way as for avatars
+ * Resolves with the URL of the largest width
+ */
+async function writeVehicleImage(vehicleId, buffer) {
+  const name = `${vehicleId}-${crypto.randomBytes(6).toString('hex')}`;
+  const image = sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate();
+
+  fs.mkdirSync(VEHICLE_MEDIA_DIR, { recursive: true });
+  for (const width of VEHICLE_IMAGE_WIDTHS) {
+    await image
+      .clone()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(VEHICLE_MEDIA_DIR, `${name}-${width}.webp`));
+  }
+
+  return `/uploads/vehicles/${name}-${Math.max(...VEHICLE_IMAGE_WIDTHS)}.webp`;
+}
+
+function isPublicAddress(address) {
+  return !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for outgoing photo downloads: fails when the host resolves to
+ * any non-public address. The check runs as the socket connects, so a DNS
+ * answer that changes between a check and the download can't get through.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) return callback(new Error('The link points to a private or local address'));
+    callback(null, address, family);
+  });
+}
+
+/**
+ * One GET for a linked photo, without following redirects
+ * Resolves with { location } for a redirect or { buffer } for the body;
+ * the download is cut off as soon as it passes VEHICLE_IMAGE_MAX_BYTES
+ */
+function downloadLinkedImage(url, signal) {
+  // Hosts given as IP literals skip the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return Promise.reject(new Error('The link points to a private or local address'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, { agent: false, lookup: publicOnlyLookup, signal }, response => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ location: headers.location });
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new Error(`The server answered ${statusCode}`));
+      }
+      if (Number(headers['content-length']) > VEHICLE_IMAGE_MAX_BYTES) {
+        request.destroy();
+        return reject(new Error('The image is too large'));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > VEHICLE_IMAGE_MAX_BYTES) return request.destroy(new Error('The image is too large'));
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ buffer: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Loads the bytes behind a linked photo: an http(s) URL on a public
+ * address, or a file this site serves such as "/app/models/images/hart.jpg"
+ * Every redirect is checked like the original link
+ * Rejects with an Error whose message explains what went wrong
+ */
+async function readLinkedImage(link) {
+  if (/^https?:\/\//i.test(link)) {
+    const signal = AbortSignal.timeout(VEHICLE_IMAGE_FETCH_TIMEOUT);
+    let url = new URL(link);
+
+    for (let redirects = 0; ; redirects++) {
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('The link redirects to something other than a web address');
+      const { location, buffer } = await downloadLinkedImage(url, signal);
+      if (buffer) return buffer;
+      if (redirects === VEHICLE_IMAGE_MAX_REDIRECTS) throw new Error('Too many redirects');
+      url = new URL(location, url);
+    }
+  }
+
+  // Only what the site itself serves, never server code or data
+  const file = link.startsWith('/') && resolveStaticFile(link.split(/[?#]/)[0]);
+  if (!file) throw new Error('Not a web address or a path on this site');
+  return fs.promises.readFile(file);
+}
+
+/**
+ * Middleware: loads the vehicle named by :id into req.vehicle
+ */
+function loadTargetVehicle(req, res, next) {
+  req.vehicle = readVehicles().find(v => String(v.id) === req.params.id);
+  if (!req.vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  next();
+}
+
+/**
+ * Re-reads the inventory, applies change(vehicle) to the vehicle named by
+ * :id and saves it
+ * Used after slow image work so edits made meanwhile are not overwritten
+ * Returns the updated vehicle, or null when it has been deleted meanwhile
+ */
+function updateVehicleImages(id, change) {
+  const vehicles = readVehicles();
+  const vehicle = vehicles.find(v => String(v.id) === String(id));
+  if (!vehicle) return null;
+
+  vehicle.images = change(vehicle.images || []);
+  writeVehicles(vehicles);
+  return vehicle;
+}
+
+/* ========================================
+   API ENDPOINTS - VEHICLE MEDIA
+   All routes require inventory:manage
+   ======================================== */
+
+const receiveVehiclePhotos = imageUpload({ field: 'photos', maxBytes: VEHICLE_IMAGE_MAX_BYTES, maxFiles: VEHICLE_UPLOAD_BATCH });
+
+/**
+ * POST /api/vehicles/:id/images
+ * Adds photos to the end of a vehicle's gallery
+ *
+ * Request: multipart/form-data
+ *   - photos (required): 1-10 JPEG, PNG, WebP or GIF files, up to 10 MB each
+ *
+ * Every photo is checked before any is stored, so a bad file rejects the
+ * whole batch; each is stored as 320, 640 and 1280 px wide WebP files
+ *
+ * Response (201):
+ *   - success: boolean
+ *   - vehicle: The updated vehicle
+ */
+app.post('/api/vehicles/:id/images', requirePermission('inventory:manage'), loadTargetVehicle, receiveVehiclePhotos, async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({ success: false, message: 'Send the image as the "photos" field of a multipart form' });
+  }
+  if ((req.vehicle.images || []).length + files.length > VEHICLE_IMAGE_LIMIT) {
+    return res.status(409).json({ success: false, message: `A vehicle can have at most ${VEHICLE_IMAGE_LIMIT} photos` });
+  }
+
+  for (const file of files) {
+    const problem = await imageUploadProblem(file);
+    if (problem) return res.status(415).json({ success: false, message: `${file.originalname}: ${problem}` });
+  }
+
+  const urls = [];
+  try {
+    for (const file of files) urls.push(await writeVehicleImage(req.vehicle.id, file.buffer));
+  } catch (err) {
+    console.error('Vehicle photo processing failed:', err.message);
+    removeVehicleImageFiles(urls);
+    return res.status(415).json({ success: false, message: 'The file is not a valid JPEG, PNG, WebP or GIF image' });
+  }
+
+  const vehicle = updateVehicleImages(req.vehicle.id, images => [...images, ...urls]);
+  if (!vehicle) {
+    removeVehicleImageFiles(urls);
+    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  }
+
+  res.status(201).json({ success: true, vehicle });
+});
+
+/**
+ * PUT /api/vehicles/:id/images
+ * Reorders a vehicle's gallery (the first photo becomes the cover)
+ *
+ * Request body:
+ *   - images (required): The vehicle's current photo URLs, each exactly
+ *     once, in the new order
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicle: The updated vehicle
+ */
+app.put('/api/vehicles/:id/images', requirePermission('inventory:manage'), loadTargetVehicle, (req, res) => {
+  const { images } = req.body || {};
+  const current = req.vehicle.images || [];
+  const sameSet = Array.isArray(images)
+    && images.length === current.length
+    && new Set(images).size === images.length
+    && images.every(url => current.includes(url));
+  if (!sameSet) {
+    return res.status(400).json({ success: false, message: "images must list each of the vehicle's current photos once" });
+  }
+
+  const vehicle = updateVehicleImages(req.vehicle.id, () => images);
+  res.json({ success: true, vehicle });
+});
+
+/**
+ * POST /api/vehicles/:id/images/cover
+ * Moves one photo to the front of the gallery
+ *
+ * Request body:
+ *   - image (required): URL of one of the vehicle's photos
+ */
+app.post('/api/vehicles/:id/images/cover', requirePermission('inventory:manage'), loadTargetVehicle, (req, res) => {
+  const { image } = req.body || {};
+  if (!(req.vehicle.images || []).includes(image)) {
+    return res.status(404).json({ success: false, message: 'Photo not found' });
+  }
+
+  const vehicle = updateVehicleImages(req.vehicle.id, images => [image, ...images.filter(url => url !== image)]);
+  res.json({ success: true, vehicle });
+});
+
+/**
+ * DELETE /api/vehicles/:id/images
+ * Removes one photo from the gallery (and its files, when it is in the store)
+ *
+ * Request body:
+ *   - image (required): URL of one of the vehicle's photos
+ */
+app.delete('/api/vehicles/:id/images', requirePermission('inventory:manage'), loadTargetVehicle, (req, res) => {
+  const { image } = req.body || {};
+  if (!(req.vehicle.images || []).includes(image)) {
+    return res.status(404).json({ success: false, message: 'Photo not found' });
+  }
+
+  const vehicle = updateVehicleImages(req.vehicle.id, images => images.filter(url => url !== image));
+  removeVehicleImageFiles([image]);
+  res.json({ success: true, vehicle });
+});
+
+/**
+ * POST /api/vehicles/:id/images/import
+ * Copies a vehicle's linked photos (third-party URLs or loose files on this
+ * site) into the media store, keeping their place in the gallery, so the
+ * catalog no longer depends on the links staying alive
+ * Links that can't be read or aren't images are kept as they are
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicle: The updated vehicle
+ *   - imported: How many photos were copied
+ *   - failed: [{ image, message }] for the links that were kept
+ */
+app.post('/api/vehicles/:id/images/import', requirePermission('inventory:manage'), loadTargetVehicle, async (req, res) => {
+  const replacements = new Map();
+  const failed = [];
+
+  for (const link of (req.vehicle.images || []).filter(url => !vehicleImageVariants(url))) {
+    try {
+      const buffer = await readLinkedImage(link);
+      const format = await sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS }).metadata().then(meta => meta.format, () => null);
+      if (!Object.values(IMAGE_UPLOAD_TYPES).includes(format)) throw new Error('Not a JPEG, PNG, WebP or GIF image');
+      replacements.set(link, await writeVehicleImage(req.vehicle.id, buffer));
+    } catch (err) {
+      failed.push({ image: link, message: err.message });
+    }
+  }
+
+  const vehicle = updateVehicleImages(req.vehicle.id, images => images.map(url => replacements.get(url) || url));
+  if (!vehicle) {
+    removeVehicleImageFiles([...replacements.values()]);
+    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  }
+
+  // A link removed from the gallery while we were copying leaves an unused copy behind
+  removeVehicleImageFiles([...replacements.values()].filter(url => !vehicle.images.includes(url)));
+  res.json({ success: true, vehicle, imported: replacements.size, failed });
+});
+
+/* ========================================
+   CURRENCY - EXCHANGE RATES
+   ======================================== */
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Converts a base-currency amount into another currency
+ * rates defaults to the current rates; pass a sale's exchangeRates snapshot
+ * to convert at the rate that applied when it was recorded
+ * Returns null if the currency isn't in the rate table
+ */
+function convertFromBase(amount, currency, rates = readRates().rates) {
+  const rate = rates[currency];
+  return rate ? Math.round((amount / rate) * 100) / 100 : null;
+}
+
+/**
+ * Converts an amount in any known currency into the base currency
+ */
+function convertToBase(amount, currency, rates = readRates().rates) {
+  const rate = rates[currency];
+  return rate ? Math.round(amount * rate * 100) / 100 : null;
+}
+
+/**
+ * Normalizes a price quoted in any currency for storage on a sale:
+ * price is stored in the base currency, the quote is kept when it differs,
+ * and the rates in force are snapshotted so historic totals never drift
+ *
+ * Returns { error } or { fields } to spread into the sale
+ */
+function priceSaleInBase(amount, currency) {
+  const { base, rates } = readRates();
+  const code = String(currency || base).toUpperCase();
+  if (!rates[code]) return { error: `Unsupported currency ${code}` };
+
+  const fields = { price: convertToBase(amount, code, rates), currency: base, exchangeRates: { ...rates } };
+  if (code !== base) {
+    fields.quotedPrice = amount;
+    fields.quotedCurrency = code;
+  }
+  return { fields };
+}
+
+/**
+ * Converts a sale's base price into the requested display currency using the
+ * sale's own rate snapshot (older sales without one use the current rates)
+ */
+function withDisplayPrice(sale, currency, currentRates) {
+  const rates = sale.exchangeRates && sale.exchangeRates[currency] ? sale.exchangeRates : currentRates;
+  return { ...sale, displayPrice: convertFromBase(sale.price, currency, rates), displayCurrency: currency };
+}
+
+/**
+ * Reads and validates a ?currency= display parameter
+ * Returns the currency code, or null after sending a 400
+ */
+function displayCurrencyParam(req, res) {
+  const { base, rates } = readRates();
+  const currency = String(req.query.currency || base).toUpperCase();
+  if (!rates[currency]) {
+    res.status(400).json({ success: false, message: `currency must be one of: ${Object.keys(rates).join(', ')}` });
+    return null;
+  }
+  return currency;
+}
+
+/**
+ * GET /api/currency/rates
+ * Returns the exchange rate table used to display prices
+ *
+ * Response: { base, updatedAt, rates }
+ *   rates: currency code -> base-currency units per one unit
+ */
+app.get('/api/currency/rates', (req, res) => {
+  res.json(readRates());
+});
+
+/**
+ * PUT /api/currency/rates
+ * Updates exchange rates (requires currency:manage); codes not listed are
+ * kept, new three-letter codes are added. The base currency is always 1.
+ *
+ * Request body:
+ *   - rates (required): { USD: 57.5, EUR: 62.1, ... }
+ *
+ * Response:
+ *   - success: boolean
+ *   - rates: Updated rates document
+ */
+app.put('/api/currency/rates', requirePermission('currency:manage'), (req, res) => {
+  const updates = (req.body || {}).rates;
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return res.status(400).json({ success: false, message: 'rates must be an object of currency code -> rate' });
+  }
+
+  const doc = readRates();
+  const errors = [];
+  Object.keys(updates).forEach(code => {
+    const rate = Number(updates[code]);
+    if (!CURRENCY_CODE.test(code)) errors.push(`${code} is not a three-letter currency code`);
+    else if (code === doc.base && rate !== 1) errors.push(`${code} is the base currency and must stay 1`);
+    else if (!Number.isFinite(rate) || rate <= 0) errors.push(`${code} rate must be a positive number`);
+  });
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  Object.keys(updates).forEach(code => { doc.rates[code] = Number(updates[code]); });
+  doc.updatedAt = new Date().toISOString();
+  writeRates(doc);
+
+  res.json({ success: true, rates: doc });
+});
+
+/* ========================================
+   SALES LEDGER - HELPERS
+   ======================================== */
+
+const SALE_SORT_FIELDS = ['customerName', 'vehicleName', 'category', 'price', 'purchaseDate', 'country'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks for a real calendar date in YYYY-MM-DD format
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Applies the GET /api/sales query to a list of sales
+ *
+ * Query params (all optional):
+ *   - from, to: Inclusive purchase date range (YYYY-MM-DD)
+ *   - customerName, vehicleName, category, country: Per-column "contains" search
+ *   - sortBy: One of SALE_SORT_FIELDS (default purchaseDate)
+ *   - order: asc | desc (default desc)
+ */
+function filterSales(sales, query) {
+  const { from, to } = query;
+  const columnSearches = ['customerName', 'vehicleName', 'category', 'country']
+    .filter(key => query[key])
+    .map(key => [key, String(query[key]).toLowerCase()]);
+
+  const filtered = sales.filter(sale => {
+    if (from && sale.purchaseDate < from) return false;
+    if (to && sale.purchaseDate > to) return false;
+    return columnSearches.every(([key, needle]) => String(sale[key] || '').toLowerCase().includes(needle));
+  });
+
+  const sortBy = SALE_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'purchaseDate';
+  const direction = query.order === 'asc' ? 1 : -1;
+
+  return filtered.sort((a, b) => {
+    const x = a[sortBy];
+    const y = b[sortBy];
+    if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+    return String(x || '').localeCompare(String(y || '')) * direction;
+  });
+}
+
+/* ========================================
+   API ENDPOINTS - SALES LEDGER
+   ======================================== */
+
+/**
+ * GET /api/sales
+ * Returns the sales ledger, filtered and sorted (see filterSales)
+ *
+ * Query params:
+ *   - currency (optional): Adds displayPrice/displayCurrency to each sale,
+ *     converted at the rates recorded with that sale
+ *
+ * Response: Array of sale objects
+ */
+app.get('/api/sales', requirePermission('sales:view'), (req, res) => {
+  const currency = displayCurrencyParam(req, res);
+  if (!currency) return;
+
+  const currentRates = readRates().rates;
+  res.json(filterSales(readSales(), req.query).map(sale => withDisplayPrice(sale, currency, currentRates)));
+});
+
+/**
+ * POST /api/sales
+ * Records a sale and decrements the vehicle's stock
+ *
+ * Request body:
+ *   - userId (required): Buyer's user ID
+ *   - vehicleId (required): Vehicle sold
+ *   - country (required): Buyer's country
+ *   - price (optional): Sale price, defaults to the vehicle's list price
+ *   - currency (optional): Currency of price, defaults to the base currency;
+ *     stored converted to the base currency with the rates in force
+ *   - purchaseDate (optional): YYYY-MM-DD, defaults to today
+ *
+ * Response:
+ *   - success: boolean
+ *   - sale: The recorded sale
+ *   - vehicle: The vehicle with its updated stock
+ */
+app.post('/api/sales', requirePermission('sales:record'), (req, res) => {
+  const { userId, vehicleId, country, price, currency, purchaseDate } = req.body || {};
+
+  if (!userId || !vehicleId || !country) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  const user = userRepository.findById(userId);
+  if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+  const vehicles = readVehicles();
+  const vehicle = vehicles.find(v => String(v.id) === String(vehicleId));
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  if (!(vehicle.stock > 0)) return res.status(409).json({ success: false, message: 'Vehicle is out of stock' });
+
+  const salePrice = price === undefined ? vehicle.price : Number(price);
+  if (!Number.isFinite(salePrice) || salePrice < 0) {
+    return res.status(400).json({ success: false, message: 'price must be a non-negative number' });
+  }
+
+  const date = purchaseDate || new Date().toISOString().slice(0, 10);
+  if (!isValidDate(date)) {
+    return res.status(400).json({ success: false, message: 'purchaseDate must be a valid YYYY-MM-DD date' });
+  }
+
+  // The list price is already in the base currency
+  const pricing = priceSaleInBase(salePrice, price === undefined ? null : currency);
+  if (pricing.error) return res.status(400).json({ success: false, message: pricing.error });
+
+  // Snapshot names so the ledger still reads correctly if the user or vehicle changes later
+  const sale = {
+    id: Date.now(),
+    userId: user.id,
+    customerName: user.fullName,
+    vehicleId: vehicle.id,
+    vehicleName: `${vehicle.make} ${vehicle.model}`,
+    category: vehicle.category,
+    ...pricing.fields,
+    purchaseDate: date,
+    country: String(country).trim()
+  };
+
+  vehicle.stock -= 1;
+  writeVehicles(vehicles);
+
+  const sales = readSales();
+  sales.push(sale);
+  writeSales(sales);
+
+  res.status(201).json({ success: true, sale, vehicle });
+});
+
+/* ========================================
+   API ENDPOINT - SALES ANALYTICS
+   ======================================== */
+
+/**
+ * Groups sales by a key and sums units and revenue per group
+ * Returns an array sorted by revenue (highest first)
+ */
+function aggregateSales(sales, keyFn) {
+  const groups = new Map();
+  sales.forEach(sale => {
+    const key = keyFn(sale);
+    const group = groups.get(key) || { key, units: 0, revenue: 0 };
+    group.units += 1;
+    group.revenue += sale.displayPrice;
+    groups.set(key, group);
+  });
+  return [...groups.values()]
+    .map(group => ({ ...group, revenue: Math.round(group.revenue * 100) / 100 }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * GET /api/analytics/sales
+ * Aggregates the sales ledger for the dashboard charts
+ *
+ * Query params (all optional):
+ *   - from, to: Inclusive purchase date range (YYYY-MM-DD)
+ *   - category: CASUAL or SUPERCAR
+ *   - currency: Currency for all amounts (default base); each sale is
+ *     converted at the rates recorded with it
+ *
+ * Response:
+ *   - currency: Currency of the amounts below
+ *   - totals: { units, revenue, averagePrice }
+ *   - revenueByMonth: [{ month: 'YYYY-MM', units, revenue }] in calendar order
+ *   - unitsByCategory: { CASUAL, SUPERCAR }
+ *   - topModels: Top 5 [{ vehicleName, units, revenue }]
+ *   - salesByCountry: [{ country, units, revenue }]
+ */
+app.get('/api/analytics/sales', requirePermission('analytics:view'), (req, res) => {
+  const { from, to } = req.query;
+  const category = req.query.category ? String(req.query.category).toUpperCase() : '';
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return res.status(400).json({ success: false, message: 'from/to must be valid YYYY-MM-DD dates' });
+  }
+
+  const currency = displayCurrencyParam(req, res);
+  if (!currency) return;
+
+  const currentRates = readRates().rates;
+  const sales = filterSales(readSales(), { from, to })
+    .filter(sale => !category || sale.category === category)
+    .map(sale => withDisplayPrice(sale, currency, currentRates));
+
+  const revenue = Math.round(sales.reduce((sum, sale) => sum + sale.displayPrice, 0) * 100) / 100;
+
+  const unitsByCategory = VEHICLE_CATEGORIES.reduce((acc, c) => ({ ...acc, [c]: 0 }), {});
+  sales.forEach(sale => { unitsByCategory[sale.category] = (unitsByCategory[sale.category] || 0) + 1; });
+
+  res.json({
+    currency,
+    totals: {
+      units: sales.length,
+      revenue,
+      averagePrice: sales.length ? Math.round(revenue / sales.length) : 0
+    },
+    revenueByMonth: aggregateSales(sales, sale => sale.purchaseDate.slice(0, 7))
+      .map(({ key, units, revenue }) => ({ month: key, units, revenue }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    unitsByCategory,
+    topModels: aggregateSales(sales, sale => sale.vehicleName)
+      .slice(0, 5)
+      .map(({ key, units, revenue }) => ({ vehicleName: key, units, revenue })),
+    salesByCountry: aggregateSales(sales, sale => sale.country)
+      .map(({ key, units, revenue }) => ({ country: key, units, revenue }))
+  });
+});
+
+/* ========================================
+   APPOINTMENTS - SHOWROOM SCHEDULE
+   ======================================== */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const APPOINTMENT_TYPES = ['test-drive', 'viewing'];
+
+/**
+ * Schedule used until staff save one (and for fields missing from showroom.json)
+ *   hours: weekday -> { open, close } in showroom-local HH:MM, or null when closed
+ *   slotCapacity: bookings the showroom can run at the same time
+ */
+const DEFAULT_SCHEDULE = {
+  slotMinutes: 60,
+  slotCapacity: 2,
+  hours: {
+    sun: null,
+    mon: { open: '09:00', close: '18:00' },
+    tue: { open: '09:00', close: '18:00' },
+    wed: { open: '09:00', close: '18:00' },
+    thu: { open: '09:00', close: '18:00' },
+    fri: { open: '09:00', close: '18:00' },
+    sat: { open: '10:00', close: '16:00' }
+  },
+  blackoutDays: [],
+  updatedAt: null
+};
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function fromMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Today's date and the current time in the showroom's (server's) local time
+ */
+function showroomNow() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    minutes: now.getHours() * 60 + now.getMinutes()
+  };
+}
+
+/**
+ * Opening hours for a YYYY-MM-DD date
+ * Returns { closed: true, reason } for closed weekdays and blackout days
+ * (reason is the blackout's staff-entered text, null on regular closed days),
+ * otherwise { closed: false, open, close, times } with every slot start time
+ */
+function showroomDay(schedule, date) {
+  const blackout = schedule.blackoutDays.find(day => day.date === date);
+  if (blackout) return { closed: true, reason: blackout.reason || null };
+
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const hours = schedule.hours[weekday];
+  if (!hours) return { closed: true, reason: null };
+
+  const times = [];
+  for (let start = toMinutes(hours.open); start + schedule.slotMinutes <= toMinutes(hours.close); start += schedule.slotMinutes) {
+    times.push(fromMinutes(start));
+  }
+  return { closed: false, open: hours.open, close: hours.close, times };
+}
+
+/**
+ * Validates a (partial) schedule update
+ * Returns { errors, schedule } where schedule is the current one with the update applied
+ */
+function validateSchedule(body, current) {
+  const errors = [];
+  const schedule = { ...current, hours: { ...current.hours } };
+
+  if (body.slotMinutes !== undefined) {
+    const minutes = Number(body.slotMinutes);
+    if (!Number.isInteger(minutes) || minutes < 15 || minutes > 240) errors.push('slotMinutes must be a whole number between 15 and 240');
+    else schedule.slotMinutes = minutes;
+  }
+
+  if (body.slotCapacity !== undefined) {
+    const capacity = Number(body.slotCapacity);
+    if (!Number.isInteger(capacity) || capacity < 1) errors.push('slotCapacity must be a positive integer');
+    else schedule.slotCapacity = capacity;
+  }
+
+  if (body.hours !== undefined) {
+    if (!body.hours || typeof body.hours !== 'object' || Array.isArray(body.hours)) {
+      errors.push('hours must be an object');
+    } else {
+      Object.keys(body.hours).forEach(day => {
+        const value = body.hours[day];
+        if (!WEEKDAYS.includes(day)) return errors.push(`Unknown weekday: ${day}`);
+        if (value === null) {
+          schedule.hours[day] = null;
+        } else if (!value || !TIME_PATTERN.test(value.open) || !TIME_PATTERN.test(value.close)) {
+          errors.push(`${day} hours need open and close times (HH:MM)`);
+        } else if (toMinutes(value.open) >= toMinutes(value.close)) {
+          errors.push(`${day} must open before it closes`);
+        } else {
+          schedule.hours[day] = { open: value.open, close: value.close };
+        }
+      });
+    }
+  }
+
+  if (body.blackoutDays !== undefined) {
+    if (!Array.isArray(body.blackoutDays)) {
+      errors.push('blackoutDays must be an array');
+    } else {
+      const seen = new Set();
+      schedule.blackoutDays = [];
+      body.blackoutDays.forEach(day => {
+        const date = day && day.date;
+        if (!isValidDate(date)) return errors.push(`Bad date "${date}" (expected YYYY-MM-DD)`);
+        if (seen.has(date)) return;
+        seen.add(date);
+        schedule.blackoutDays.push({ date, reason: String(day.reason || '').trim() });
+      });
+      schedule.blackoutDays.sort((a, b) => a.date.localeCompare(b.date));
+    }
+  }
+
+  return { errors, schedule };
+}
+
+/**
+ * Active (not cancelled) bookings for one date and slot time
+ */
+function bookingsInSlot(appointments, date, time) {
+  return appointments.filter(a => a.status === 'booked' && a.date === date && a.time === time);
+}
+
+/**
+ * GET /api/showroom/schedule
+ * Returns the showroom hours, slot length/capacity and blackout days
+ *
+ * Response: { slotMinutes, slotCapacity, hours, blackoutDays, updatedAt }
+ */
+app.get('/api/showroom/schedule', (req, res) => {
+  res.json(readSchedule());
+});
+
+/**
+ * PUT /api/showroom/schedule
+ * Updates the schedule (requires appointments:manage); omitted fields are kept.
+ * Existing bookings are left alone even if they fall outside the new hours.
+ *
+ * Request body (all optional):
+ *   - slotMinutes: Slot length, 15-240
+ *   - slotCapacity: Concurrent bookings per slot
+ *   - hours: { mon: { open: '09:00', close: '18:00' }, sun: null, ... }
+ *   - blackoutDays: [{ date: 'YYYY-MM-DD', reason }] (replaces the list)
+ *
+ * Response:
+ *   - success: boolean
+ *   - schedule: Updated schedule
+ */
+app.put('/api/showroom/schedule', requirePermission('appointments:manage'), (req, res) => {
+  const { errors, schedule } = validateSchedule(req.body || {}, readSchedule());
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  schedule.updatedAt = new Date().toISOString();
+  writeSchedule(schedule);
+
+  res.json({ success: true, schedule });
+});
+
+/* ========================================
+   API ENDPOINTS - APPOINTMENTS
+   ======================================== */
+
+/**
+ * GET /api/vehicles/:id/slots?date=YYYY-MM-DD
+ * Lists the bookable slots for a vehicle on one day
+ * A slot is unavailable once it has started, when the vehicle is already
+ * booked for it, or when the showroom is at capacity
+ *
+ * Response:
+ *   - date, closed, reason (when closed), open, close
+ *   - slots: [{ time, available }]
+ */
+app.get('/api/vehicles/:id/slots', (req, res) => {
+  const { date } = req.query;
+  if (!isValidDate(date)) return res.status(400).json({ success: false, message: 'date must be a valid YYYY-MM-DD date' });
+
+  const vehicle = readVehicles().find(v => String(v.id) === req.params.id);
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  const schedule = readSchedule();
+  const day = showroomDay(schedule, date);
+  if (day.closed) return res.json({ date, closed: true, reason: day.reason, slots: [] });
+
+  const now = showroomNow();
+  const appointments = readAppointments();
+  const slots = day.times.map(time => {
+    const booked = bookingsInSlot(appointments, date, time);
+    const started = date < now.date || (date === now.date && toMinutes(time) <= now.minutes);
+    const available = !started
+      && booked.length < schedule.slotCapacity
+      && !booked.some(a => String(a.vehicleId) === String(vehicle.id));
+    return { time, available };
+  });
+
+  res.json({ date, closed: false, open: day.open, close: day.close, slots });
+});
+
+/**
+ * POST /api/appointments
+ * Books a test drive or viewing for the logged-in user
+ * Rejected with 409 when the vehicle is already booked for the slot, the
+ * slot is full, or the user already has a booking at that time
+ *
+ * Request body:
+ *   - vehicleId (required)
+ *   - date (required): YYYY-MM-DD
+ *   - time (required): Slot start time, HH:MM
+ *   - type (optional): test-drive (default) | viewing
+ *   - notes (optional): Message for the showroom, up to 500 characters
+ *
+ * Response:
+ *   - success: boolean
+ *   - appointment: The booking
+ */
+app.post('/api/appointments', authenticate, (req, res) => {
+  const { vehicleId, date, time, type = 'test-drive', notes = '' } = req.body || {};
+
+  if (!vehicleId || !date || !time) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+  if (!isValidDate(date)) return res.status(400).json({ success: false, message: 'date must be a valid YYYY-MM-DD date' });
+  if (!APPOINTMENT_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, message: `type must be one of: ${APPOINTMENT_TYPES.join(', ')}` });
+  }
+  if (String(notes).length > 500) return res.status(400).json({ success: false, message: 'notes must be 500 characters or fewer' });
+
+  const vehicle = readVehicles().find(v => String(v.id) === String(vehicleId));
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  const schedule = readSchedule();
+  const day = showroomDay(schedule, date);
+  if (day.closed) return res.status(400).json({ success: false, message: 'The showroom is closed on that day' });
+  if (!day.times.includes(time)) return res.status(400).json({ success: false, message: 'That time is not an available slot' });
+
+  const now = showroomNow();
+  if (date < now.date || (date === now.date && toMinutes(time) <= now.minutes)) {
+    return res.status(400).json({ success: false, message: 'That slot has already started' });
+  }
+
+  // Checked and written without yielding, so two requests cannot both take the last place
+  const appointments = readAppointments();
+  const booked = bookingsInSlot(appointments, date, time);
+  if (booked.some(a => String(a.vehicleId) === String(vehicle.id))) {
+    return res.status(409).json({ success: false, message: 'This vehicle is already booked for that slot' });
+  }
+  if (booked.some(a => a.userId === req.user.id)) {
+    return res.status(409).json({ success: false, message: 'You already have an appointment at that time' });
+  }
+  if (booked.length >= schedule.slotCapacity) {
+    return res.status(409).json({ success: false, message: 'That slot is fully booked' });
+  }
+
+  // Snapshot names so the day list still reads correctly if the user or vehicle changes later
+  const appointment = {
+    id: Date.now(),
+    userId: req.user.id,
+    customerName: req.user.fullName,
+    customerEmail: req.user.email,
+    vehicleId: vehicle.id,
+    vehicleName: `${vehicle.make} ${vehicle.model}`,
+    type,
+    date,
+    time,
+    durationMinutes: schedule.slotMinutes,
+    notes: String(notes).trim(),
+    status: 'booked',
+    createdAt: new Date().toISOString()
+  };
+
+  appointments.push(appointment);
+  writeAppointments(appointments);
+
+  res.status(201).json({ success: true, appointment });
+});
+
+/**
+ * GET /api/me/appointments
+ * Returns the logged-in user's bookings, soonest first
+ *
+ * Response: Array of appointment objects
+ */
+app.get('/api/me/appointments', authenticate, (req, res) => {
+  const mine = readAppointments()
+    .filter(a => a.userId === req.user.id)
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+
+  res.json(mine);
+});
+
+/**
+ * POST /api/appointments/:id/cancel
+ * Cancels a booking; customers may cancel their own, staff with
+ * appointments:manage may cancel any. The record is kept with status cancelled.
+ *
+ * Response:
+ *   - success: boolean
+ *   - appointment: The cancelled booking
+ */
+app.post('/api/appointments/:id/cancel', authenticate, (req, res) => {
+  const appointments = readAppointments();
+  const appointment = appointments.find(a => String(a.id) === req.params.id);
+
+  const isStaff = permissionsFor(req.user.role).includes('appointments:manage');
+  if (!appointment || (appointment.userId !== req.user.id && !isStaff)) {
+    return res.status(404).json({ success: false, message: 'Appointment not found' });
+  }
+  if (appointment.status !== 'booked') {
+    return res.status(409).json({ success: false, message: 'This appointment is already cancelled' });
+  }
+
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date().toISOString();
+  appointment.cancelledBy = appointment.userId === req.user.id ? 'customer' : 'staff';
+  writeAppointments(appointments);
+
+  res.json({ success: true, appointment });
+});
+
+/**
+ * GET /api/appointments?date=YYYY-MM-DD
+ * Staff calendar: every booking on one day (default today), in slot order
+ *
+ * Response:
+ *   - date, closed, reason (when closed), open, close
+ *   - appointments: Array of appointment objects, cancelled ones included
+ */
+app.get('/api/appointments', requirePermission('appointments:manage'), (req, res) => {
+  const date = req.query.date || showroomNow().date;
+  if (!isValidDate(date)) return res.status(400).json({ success: false, message: 'date must be a valid YYYY-MM-DD date' });
+
+  const day = showroomDay(readSchedule(), date);
+  const appointments = readAppointments()
+    .filter(a => a.date === date)
+    .sort((a, b) => a.time.localeCompare(b.time) || a.vehicleName.localeCompare(b.vehicleName));
+
+  res.json({ date, closed: day.closed, reason: day.reason, open: day.open, close: day.close, appointments });
+});
+
+/* ========================================
+   INQUIRIES - HELPERS
+   ======================================== */
+
+const INQUIRY_STATUSES = ['new', 'replied', 'closed'];
+const INQUIRY_MESSAGE_LIMIT = 2000;
+
+/**
+ * Checks a message body, returning an error message or null
+ */
+function inquiryMessageProblem(message) {
+  const text = String(message || '').trim();
+  if (!text) return 'message is required';
+  if (text.length > INQUIRY_MESSAGE_LIMIT) return `message must be ${INQUIRY_MESSAGE_LIMIT} characters or fewer`;
+  return null;
+}
+
+function inquiryMessage(from, user, body) {
+  return {
+    id: crypto.randomUUID(),
+    from, // customer | staff
+    authorId: user ? user.id : null,
+    authorName: user ? user.fullName : null,
+    body: String(body).trim(),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Customer view of a thread: staff members are shown by first name only
+ * and internal fields (assignee) are left out
+ */
+function toCustomerInquiry(inquiry) {
+  const { assignedTo, ...rest } = inquiry;
+  return {
+    ...rest,
+    messages: inquiry.messages.map(m => ({
+      ...m,
+      authorId: undefined,
+      authorName: m.from === 'staff' ? String(m.authorName || 'Hanire').split(' ')[0] : m.authorName
+    }))
+  };
+}
+
+/**
+ * Middleware: loads :id into req.inquiry (staff routes) or responds 404
+ */
+function loadInquiry(req, res, next) {
+  const inquiries = readInquiries();
+  const inquiry = inquiries.find(i => String(i.id) === req.params.id);
+  if (!inquiry) return res.status(404).json({ success: false, message: 'Inquiry not found' });
+
+  req.inquiries = inquiries;
+  req.inquiry = inquiry;
+  next();
+}
+
+/* ========================================
+   API ENDPOINTS - INQUIRIES (CUSTOMERS)
+   ======================================== */
+
+/**
+ * POST /api/inquiries
+ * Sends a contact-form inquiry. Guests give their name and email; for a
+ * logged-in user they come from the account and the thread appears on
+ * their profile.
+ *
+ * Request body:
+ *   - name, email (required for guests)
+ *   - phone (optional)
+ *   - subject (required)
+ *   - message (required): Up to 2000 characters
+ *   - vehicleId (optional): Vehicle the inquiry is about
+ *
+ * Response:
+ *   - success: boolean
+ *   - inquiry: The new thread (status new)
+ */
+app.post('/api/inquiries', optionalAuthenticate, (req, res) => {
+  const body = req.body || {};
+  const name = req.user ? req.user.fullName : String(body.name || '').trim();
+  const email = req.user ? req.user.email : String(body.email || '').trim();
+  const subject = String(body.subject || '').trim();
+
+  if (!name || !email || !subject || !body.message) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return res.status(400).json({ success: false, message: 'Invalid email address' });
+  }
+  if (subject.length > 120) return res.status(400).json({ success: false, message: 'subject must be 120 characters or fewer' });
+
+  const problem = inquiryMessageProblem(body.message);
+  if (problem) return res.status(400).json({ success: false, message: problem });
+
+  let vehicle = null;
+  if (body.vehicleId) {
+    vehicle = readVehicles().find(v => String(v.id) === String(body.vehicleId));
+    if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+  }
+
+  const now = new Date().toISOString();
+  const inquiry = {
+    id: Date.now(),
+    userId: req.user ? req.user.id : null,
+    name,
+    email,
+    phone: String(body.phone || (req.user && req.user.phone) || '').trim(),
+    subject,
+    vehicleId: vehicle ? vehicle.id : null,
+    vehicleName: vehicle ? `${vehicle.make} ${vehicle.model}` : null,
+    status: 'new',
+    assignedTo: null,
+    messages: [inquiryMessage('customer', req.user, body.message)],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const inquiries = readInquiries();
+  inquiries.push(inquiry);
+  writeInquiries(inquiries);
+
+  res.status(201).json({ success: true, inquiry: toCustomerInquiry(inquiry) });
+});
+
+/**
+ * GET /api/me/inquiries
+ * Returns the logged-in user's inquiry threads, most recently active first
+ *
+ * Response: Array of inquiry objects
+ */
+app.get('/api/me/inquiries', authenticate, (req, res) => {
+  const mine = readInquiries()
+    .filter(i => i.userId === req.user.id)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(toCustomerInquiry);
+
+  res.json(mine);
+});
+
+/**
+ * POST /api/me/inquiries/:id/messages
+ * Adds a customer follow-up to an open thread; it goes back to status new
+ * so it shows up again in the staff inbox
+ *
+ * Request body:
+ *   - message (required)
+ *
+ * Response:
+ *   - success: boolean
+ *   - inquiry: The updated thread
+ */
+app.post('/api/me/inquiries/:id/messages', authenticate, (req, res) => {
+  const inquiries = readInquiries();
+  const inquiry = inquiries.find(i => String(i.id) === req.params.id && i.userId === req.user.id);
+  if (!inquiry) return res.status(404).json({ success: false, message: 'Inquiry not found' });
+  if (inquiry.status === 'closed') return res.status(409).json({ success: false, message: 'This inquiry is closed' });
+
+  const problem = inquiryMessageProblem((req.body || {}).message);
+  if (problem) return res.status(400).json({ success: false, message: problem });
+
+  inquiry.messages.push(inquiryMessage('customer', req.user, req.body.message));
+  inquiry.status = 'new';
+  inquiry.updatedAt = new Date().toISOString();
+  writeInquiries(inquiries);
+
+  res.json({ success: true, inquiry: toCustomerInquiry(inquiry) });
+});
+
+/* ========================================
+   API ENDPOINTS - INQUIRIES (STAFF INBOX)
+   ======================================== */
+
+/**
+ * GET /api/inquiries
+ * Staff inbox, most recently active first
+ *
+ * Query params (all optional):
+ *   - status: new | replied | closed
+ *   - assigned: me | unassigned
+ *
+ * Response: Array of inquiry objects
+ */
+app.get('/api/inquiries', requirePermission('inquiries:manage'), (req, res) => {
+  const { status, assigned } = req.query;
+  if (status && !INQUIRY_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+  }
+
+  const inbox = readInquiries()
+    .filter(i => !status || i.status === status)
+    .filter(i => assigned !== 'me' || (i.assignedTo && i.assignedTo.id === req.user.id))
+    .filter(i => assigned !== 'unassigned' || !i.assignedTo)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  res.json(inbox);
+});
+
+/**
+ * GET /api/inquiries/assignees
+ * Staff accounts an inquiry can be assigned to
+ *
+ * Response: Array of { id, fullName }
+ */
+app.get('/api/inquiries/assignees', requirePermission('inquiries:manage'), (req, res) => {
+  const staff = userRepository.list()
+    .filter(u => !u.disabled && permissionsFor(u.role).includes('inquiries:manage'))
+    .map(u => ({ id: u.id, fullName: u.fullName }));
+
+  res.json(staff);
+});
+
+/**
+ * GET /api/inquiries/:id
+ * One thread with every message
+ */
+app.get('/api/inquiries/:id', requirePermission('inquiries:manage'), loadInquiry, (req, res) => {
+  res.json(req.inquiry);
+});
+
+/**
+ * PUT /api/inquiries/:id/assign
+ * Assigns the thread to a staff member, or unassigns it
+ *
+ * Request body:
+ *   - userId: Staff user ID, or null to unassign
+ *
+ * Response:
+ *   - success: boolean
+ *   - inquiry: The updated thread
+ */
+app.put('/api/inquiries/:id/assign', requirePermission('inquiries:manage'), loadInquiry, (req, res) => {
+  const { userId } = req.body || {};
+  let assignee = null;
+
+  if (userId !== null && userId !== undefined && userId !== '') {
+    assignee = userRepository.findById(userId);
+    if (!assignee || assignee.disabled || !permissionsFor(assignee.role).includes('inquiries:manage')) {
+      return res.status(400).json({ success: false, message: 'Inquiries can only be assigned to staff' });
+    }
+  }
+
+  req.inquiry.assignedTo = assignee ? { id: assignee.id, fullName: assignee.fullName } : null;
+  req.inquiry.updatedAt = new Date().toISOString();
+  writeInquiries(req.inquiries);
+
+  res.json({ success: true, inquiry: req.inquiry });
+});
+
+/**
+ * POST /api/inquiries/:id/reply
+ * Sends a staff reply: the thread becomes replied, is assigned to the
+ * replier if nobody had it, and the customer is emailed (registered
+ * customers who turned off email notifications only see it on their profile)
+ *
+ * Request body:
+ *   - message (required)
+ *
+ * Response:
+ *   - success: boolean
+ *   - inquiry: The updated thread
+ */
+app.post('/api/inquiries/:id/reply', requirePermission('inquiries:manage'), loadInquiry, (req, res) => {
+  const { inquiry } = req;
+  if (inquiry.status === 'closed') return res.status(409).json({ success: false, message: 'This inquiry is closed' });
+
+  const problem = inquiryMessageProblem((req.body || {}).message);
+  if (problem) return res.status(400).json({ success: false, message: problem });
+
+  const reply = inquiryMessage('staff', req.user, req.body.message);
+  inquiry.messages.push(reply);
+  inquiry.status = 'replied';
+  inquiry.assignedTo = inquiry.assignedTo || { id: req.user.id, fullName: req.user.fullName };
+  inquiry.updatedAt = reply.createdAt;
+  writeInquiries(req.inquiries);
+
+  const customer = inquiry.userId && userRepository.findById(inquiry.userId);
+  if (!customer || resolveSettings(customer.settings).notifications.email) {
+    sendMail(inquiry.email, `Re: ${inquiry.subject}`,
+      `Hi ${inquiry.name},\n\n${reply.body}\n\n— ${reply.authorName.split(' ')[0]}, Hanire`
+      + (customer ? `\n\nYou can follow up from your profile: ${APP_ORIGIN}/app/views/profile.html` : ''));
+  }
+
+  res.json({ success: true, inquiry });
+});
+
+/**
+ * POST /api/inquiries/:id/close
+ * Closes the thread; customers can no longer add to it
+ *
+ * Response:
+ *   - success: boolean
+ *   - inquiry: The updated thread
+ */
+app.post('/api/inquiries/:id/close', requirePermission('inquiries:manage'), loadInquiry, (req, res) => {
+  if (req.inquiry.status === 'closed') {
+    return res.status(409).json({ success: false, message: 'This inquiry is closed' });
+  }
+
+  req.inquiry.status = 'closed';
+  req.inquiry.closedAt = new Date().toISOString();
+  req.inquiry.updatedAt = req.inquiry.closedAt;
+  writeInquiries(req.inquiries);
+
+  res.json({ success: true, inquiry: req.inquiry });
+});
+
+/* ========================================
+   API ENDPOINTS - WISHLIST
+   ======================================== */
+
+const WISHLIST_LIMIT = 50;
+
+/**
+ * The user's saved vehicles, newest first; entries whose vehicle has since
+ * been removed from the inventory are skipped
+ */
+function wishlistDocument(user) {
+  const vehicles = readVehicles();
+  const saved = (user.wishlist || [])
+    .map(entry => ({ ...entry, vehicle: vehicles.find(v => v.id === entry.vehicleId) }))
+    .filter(entry => entry.vehicle)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+  return {
+    vehicleIds: saved.map(entry => entry.vehicleId),
+    vehicles: saved.map(entry => ({ ...entry.vehicle, savedAt: entry.savedAt }))
+  };
+}
+
+/**
+ * GET /api/me/wishlist
+ * Returns the logged-in user's saved vehicles
+ *
+ * Response:
+ *   - vehicleIds: Saved vehicle IDs, newest first
+ *   - vehicles: The vehicles themselves, each with savedAt
+ */
+app.get('/api/me/wishlist', authenticate, (req, res) => {
+  res.json(wishlistDocument(req.user));
+});
+
+/**
+ * POST /api/me/wishlist/:vehicleId
+ * Saves a vehicle (saving one that is already saved is a no-op)
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicleIds: Saved vehicle IDs, newest first
+ */
+app.post('/api/me/wishlist/:vehicleId', authenticate, (req, res) => {
+  const vehicles = readVehicles();
+  const vehicle = vehicles.find(v => String(v.id) === req.params.vehicleId);
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  // Vehicles removed from the inventory no longer count toward the limit
+  const wishlist = req.user.wishlist.filter(entry => vehicles.some(v => v.id === entry.vehicleId));
+
+  if (wishlist.some(entry => entry.vehicleId === vehicle.id)) {
+    return res.json({ success: true, vehicleIds: wishlistDocument(req.user).vehicleIds });
+  }
+  if (wishlist.length >= WISHLIST_LIMIT) {
+    return res.status(409).json({ success: false, message: `You can save up to ${WISHLIST_LIMIT} vehicles` });
+  }
 
-// Parse incoming JSON bodies with 1MB size limit
-app.use(express.json({ limit: '1mb' }));
+  wishlist.push({ vehicleId: vehicle.id, savedAt: new Date().toISOString() });
+  const user = userRepository.update(req.user.id, { wishlist });
+
+  res.status(201).json({ success: true, vehicleIds: wishlistDocument(user).vehicleIds });
+});
+
+/**
+ * DELETE /api/me/wishlist/:vehicleId
+ * Removes a vehicle from the wishlist (removing one that isn't saved is a no-op)
+ *
+ * Response:
+ *   - success: boolean
+ *   - vehicleIds: Saved vehicle IDs, newest first
+ */
+app.delete('/api/me/wishlist/:vehicleId', authenticate, (req, res) => {
+  const wishlist = req.user.wishlist.filter(entry => String(entry.vehicleId) !== req.params.vehicleId);
+  const user = wishlist.length !== req.user.wishlist.length
+    ? userRepository.update(req.user.id, { wishlist })
+    : req.user;
 
-// Serve static files (HTML, CSS, JS) from the server's root directory
-// This makes pages accessible at http://localhost:3000/
-app.use(express.static(__dirname));
+  res.json({ success: true, vehicleIds: wishlistDocument(user).vehicleIds });
+});
 
 /* ========================================
-   UTILITY FUNCTIONS - FILE OPERATIONS
+   ORDERS - RESERVATIONS & CHECKOUT
    ======================================== */
 
 /**
- * Reads users from the JSON file and returns as array
- * Returns empty array if file doesn't exist or fails to parse
+ * Order lifecycle. Customers reserve; staff move the order along; the server
+ * expires reservations whose hold window runs out.
+ *
+ *   reserved  -> confirmed (deposit received), cancelled, expired
+ *   confirmed -> paid (balance received), cancelled
+ *   paid      -> delivered, cancelled
+ *
+ * Reserving takes one unit out of stock straight away; cancelling or expiring
+ * puts it back. Delivery records the sale without touching stock again.
  */
-function readUsers() {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(raw || '[]');
-  } catch (err) {
-    return [];
+const ORDER_STATUSES = ['reserved', 'confirmed', 'paid', 'delivered', 'cancelled', 'expired'];
+const ORDER_TRANSITIONS = {
+  reserved: ['confirmed', 'cancelled'],
+  confirmed: ['paid', 'cancelled'],
+  paid: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+  expired: []
+};
+const ORDER_RESERVATION_LIMIT = 3; // Open reservations (status reserved) per customer
+const ORDER_NOTE_LIMIT = 500;
+
+/**
+ * Checkout policy used until an admin saves one (and for fields missing from checkout.json)
+ *   depositPercent: Share of the price due to reserve
+ *   holdHours: How long a reservation holds stock before it expires unconfirmed
+ */
+const DEFAULT_CHECKOUT_SETTINGS = {
+  depositPercent: 10,
+  holdHours: 48,
+  updatedAt: null
+};
+
+function depositFor(price, settings) {
+  return Math.round(price * settings.depositPercent) / 100;
+}
+
+function orderHistoryEntry(status, by, note) {
+  return {
+    status,
+    at: new Date().toISOString(),
+    by: by ? { id: by.id, fullName: by.fullName } : null,
+    note: note || ''
+  };
+}
+
+/**
+ * Moves an order to a new status, records it in the history and returns a
+ * held unit to stock when the order ends without a delivery
+ */
+function applyOrderStatus(order, status, vehicles, by, note) {
+  order.status = status;
+  order.updatedAt = new Date().toISOString();
+  order.history.push(orderHistoryEntry(status, by, note));
+
+  if (status === 'cancelled' || status === 'expired') {
+    const vehicle = vehicles.find(v => v.id === order.vehicleId);
+    if (vehicle) vehicle.stock = (vehicle.stock || 0) + 1;
+  }
+}
+
+/**
+ * Emails the customer about a status change, unless they turned off email
+ * or order updates in their settings
+ */
+function notifyOrderUpdate(order, note) {
+  const customer = userRepository.findById(order.userId);
+  if (!customer) return;
+  const { notifications } = resolveSettings(customer.settings);
+  if (!notifications.email || !notifications.orderUpdates) return;
+
+  sendMail(customer.email, `Your ${order.vehicleName} order is now ${order.status}`,
+    `Hi ${customer.fullName.split(' ')[0]},\n\nYour order #${order.id} for the ${order.vehicleName} is now ${order.status}.`
+    + (note ? `\n\n${note}` : '')
+    + `\n\nTrack it from your profile: ${APP_ORIGIN}/app/views/profile.html`);
+}
+
+/**
+ * Reads the orders, expiring every reservation whose hold window has ended
+ * (their stock goes back on sale). Called by every order endpoint and on a
+ * timer, so stock frees up even when nobody is looking at orders.
+ */
+function readOrdersExpiringHolds() {
+  const orders = readOrders();
+  const now = new Date().toISOString();
+  const stale = orders.filter(o => o.status === 'reserved' && o.holdExpiresAt <= now);
+  if (!stale.length) return orders;
+
+  const vehicles = readVehicles();
+  stale.forEach(order => applyOrderStatus(order, 'expired', vehicles, null, 'Hold window ended before the deposit was confirmed'));
+  writeVehicles(vehicles);
+  writeOrders(orders);
+  stale.forEach(order => notifyOrderUpdate(order));
+  return orders;
+}
+
+setInterval(readOrdersExpiringHolds, 60 * 1000);
+
+/**
+ * Validates a (partial) checkout settings update
+ * Returns { errors, settings } where settings is the current one with the update applied
+ */
+function validateCheckoutSettings(body, current) {
+  const errors = [];
+  const settings = { ...current };
+
+  if (body.depositPercent !== undefined) {
+    const percent = Number(body.depositPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) errors.push('depositPercent must be more than 0 and at most 100');
+    else settings.depositPercent = percent;
+  }
+
+  if (body.holdHours !== undefined) {
+    const hours = Number(body.holdHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 720) errors.push('holdHours must be a whole number between 1 and 720');
+    else settings.holdHours = hours;
   }
+
+  return { errors, settings };
+}
+
+/**
+ * An order as its customer sees it: history without the staff member behind
+ * each step
+ */
+function toCustomerOrder(order) {
+  return { ...order, history: order.history.map(({ by, ...entry }) => entry) };
 }
 
 /**
- * Writes users array to JSON file with formatting
- * Called after register or update operations
+ * Middleware: loads :id from the orders into req.order (req.orders holds
+ * the full list for writing back)
  */
-function writeUsers(users) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(users, null, 2), 'utf8');
+function loadOrder(req, res, next) {
+  const orders = readOrdersExpiringHolds();
+  const order = orders.find(o => String(o.id) === req.params.id);
+  if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+  req.orders = orders;
+  req.order = order;
+  next();
 }
 
+/**
+ * GET /api/orders/settings
+ * Returns the checkout policy shown on the vehicle page
+ *
+ * Response: { depositPercent, holdHours, updatedAt }
+ */
+app.get('/api/orders/settings', (req, res) => {
+  res.json(readCheckoutSettings());
+});
+
+/**
+ * PUT /api/orders/settings
+ * Updates the checkout policy (requires inventory:manage); omitted fields are
+ * kept. Existing reservations keep the deposit and hold they were made with.
+ *
+ * Request body (all optional):
+ *   - depositPercent: Share of the price due to reserve, 0-100
+ *   - holdHours: Hold window, 1-720
+ *
+ * Response:
+ *   - success: boolean
+ *   - settings: Updated policy
+ */
+app.put('/api/orders/settings', requirePermission('inventory:manage'), (req, res) => {
+  const { errors, settings } = validateCheckoutSettings(req.body || {}, readCheckoutSettings());
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  settings.updatedAt = new Date().toISOString();
+  writeCheckoutSettings(settings);
+
+  res.json({ success: true, settings });
+});
+
 /* ========================================
-   API ENDPOINT - USER REGISTRATION
+   API ENDPOINTS - ORDERS (CUSTOMERS)
    ======================================== */
 
 /**
- * POST /api/register
- * Creates a new user account
- * 
+ * POST /api/orders
+ * Reserves a vehicle: one unit is held for the customer until the hold
+ * window ends or staff confirm the deposit
+ *
  * Request body:
- *   - fullName (required): User's full name
- *   - email (required): User's email address (unique)
- *   - password (required): Plain text password (will be hashed)
- *   - phone (optional): Contact phone number
- *   - location (optional): User's location
- *   - role (optional): User role designation
- *   - avatarUrl (optional): Profile picture URL
- * 
+ *   - vehicleId (required): Vehicle to reserve
+ *   - country (required): Buyer's country (carried onto the sale)
+ *
  * Response:
  *   - success: boolean
- *   - user: Public user object (no password hash)
- *   - token: JWT token for session authentication
+ *   - order: The new order (price and deposit in the base currency)
  */
-app.post('/api/register', async (req, res) => {
-  const { fullName, email, phone, location, role, avatarUrl, password } = req.body || {};
-  
-  // Validate required fields
-  if (!fullName || !email || !password) {
+app.post('/api/orders', authenticate, (req, res) => {
+  const { vehicleId, country } = req.body || {};
+  if (!vehicleId || !String(country || '').trim()) {
     return res.status(400).json({ success: false, message: 'Missing required fields' });
   }
 
-  // Check if email already registered (prevent duplicates)
-  const users = readUsers();
-  const exists = users.find(u => u.email && u.email.toLowerCase() === (email || '').toLowerCase());
-  if (exists) {
-    return res.status(409).json({ success: false, message: 'Email already registered' });
-  }
+  const orders = readOrdersExpiringHolds();
+  const vehicles = readVehicles();
+  const vehicle = vehicles.find(v => String(v.id) === String(vehicleId));
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
 
-  // Hash password using bcryptjs (10 salt rounds)
-  const salt = await bcrypt.genSalt(10);
-  const hash = await bcrypt.hash(password, salt);
+  const open = orders.filter(o => o.userId === req.user.id && o.status === 'reserved');
+  if (orders.some(o => o.userId === req.user.id && o.vehicleId === vehicle.id && ORDER_TRANSITIONS[o.status].length)) {
+    return res.status(409).json({ success: false, message: 'You already have an open order for this vehicle' });
+  }
+  if (open.length >= ORDER_RESERVATION_LIMIT) {
+    return res.status(409).json({ success: false, message: `You can hold up to ${ORDER_RESERVATION_LIMIT} reservations at a time` });
+  }
+  if (!(vehicle.stock > 0)) return res.status(409).json({ success: false, message: 'Vehicle is out of stock' });
 
-  // Auto-generate memberSince as YYYY-MM format (current date)
+  // Checked and written without yielding, so two customers cannot both take the last unit
+  const settings = readCheckoutSettings();
   const now = new Date();
-  const memberSince = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-
-  // Create user object with generated ID and hashed password
-  const user = {
-    id: Date.now(), // Unique ID based on timestamp
-    fullName,
-    email,
-    phone: phone || '',
-    location: location || '',
-    role: role || 'Standard Member',
-    avatarUrl: avatarUrl || '',
-    memberSince: memberSince,
-    passwordHash: hash // Never send plain password
+  const order = {
+    id: Date.now(),
+    userId: req.user.id,
+    customerName: req.user.fullName,
+    email: req.user.email,
+    vehicleId: vehicle.id,
+    vehicleName: `${vehicle.make} ${vehicle.model}`,
+    category: vehicle.category,
+    price: vehicle.price,
+    deposit: depositFor(vehicle.price, settings),
+    currency: readRates().base,
+    country: String(country).trim(),
+    status: 'reserved',
+    holdExpiresAt: new Date(now.getTime() + settings.holdHours * 60 * 60 * 1000).toISOString(),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    saleId: null,
+    history: [orderHistoryEntry('reserved', req.user)]
   };
 
-  // Save to file and send response
-  users.push(user);
-  writeUsers(users);
-  
-  // Return public user data (no password hash) + JWT token for auto-login
-  const publicUser = { 
-    id: user.id, 
-    fullName: user.fullName, 
-    email: user.email, 
-    phone: user.phone, 
-    location: user.location, 
-    role: user.role, 
-    avatarUrl: user.avatarUrl, 
-    memberSince: user.memberSince 
-  };
-  const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-  return res.json({ success: true, user: publicUser, token });
+  vehicle.stock -= 1;
+  writeVehicles(vehicles);
+  orders.push(order);
+  writeOrders(orders);
+
+  res.status(201).json({ success: true, order: toCustomerOrder(order) });
+});
+
+/**
+ * GET /api/me/orders
+ * Returns the logged-in user's orders, newest first
+ *
+ * Response: Array of order objects (with their status history)
+ */
+app.get('/api/me/orders', authenticate, (req, res) => {
+  const mine = readOrdersExpiringHolds()
+    .filter(o => o.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.json(mine.map(toCustomerOrder));
+});
+
+/**
+ * POST /api/orders/:id/cancel
+ * Lets a customer cancel their own reservation before staff confirm the
+ * deposit; later cancellations go through staff
+ *
+ * Response:
+ *   - success: boolean
+ *   - order: The cancelled order
+ */
+app.post('/api/orders/:id/cancel', authenticate, loadOrder, (req, res) => {
+  const order = req.order;
+  if (order.userId !== req.user.id) return res.status(404).json({ success: false, message: 'Order not found' });
+  if (order.status !== 'reserved') {
+    return res.status(409).json({ success: false, message: 'Only reservations awaiting a deposit can be cancelled online; please contact us' });
+  }
+
+  const vehicles = readVehicles();
+  applyOrderStatus(order, 'cancelled', vehicles, req.user, 'Cancelled by the customer');
+  writeVehicles(vehicles);
+  writeOrders(req.orders);
+
+  res.json({ success: true, order: toCustomerOrder(order) });
 });
 
 /* ========================================
-   API ENDPOINT - USER LOGIN
+   API ENDPOINTS - ORDERS (STAFF)
    ======================================== */
 
 /**
- * POST /api/login
- * Authenticates user with email/name and password
- * 
+ * GET /api/orders?status=
+ * Staff order list, newest first
+ *
+ * Query parameters:
+ *   - status (optional): One of ORDER_STATUSES
+ *
+ * Response: Array of order objects
+ */
+app.get('/api/orders', requirePermission('orders:manage'), (req, res) => {
+  const { status } = req.query;
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+  }
+
+  const orders = readOrdersExpiringHolds()
+    .filter(o => !status || o.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.json(orders);
+});
+
+/**
+ * POST /api/orders/:id/status
+ * Moves an order to its next status (see ORDER_TRANSITIONS). Delivering an
+ * order records the sale in the ledger at the reserved price.
+ *
  * Request body:
- *   - username (required): Email or full name
- *   - password (required): Plain text password
- * 
+ *   - status (required): The new status
+ *   - note (optional): Up to 500 characters, kept in the history and
+ *     included in the customer's email
+ *
  * Response:
  *   - success: boolean
- *   - user: Public user object
- *   - token: JWT token for session authentication
+ *   - order: The updated order
+ *   - sale: The recorded sale (delivered only)
  */
-app.post('/api/login', async (req, res) => {
-  const { username, password } = req.body || {};
-  
-  // Validate required fields
-  if (!username || !password) return res.status(400).json({ success: false, message: 'Missing username or password' });
+app.post('/api/orders/:id/status', requirePermission('orders:manage'), loadOrder, (req, res) => {
+  const { status, note = '' } = req.body || {};
+  const order = req.order;
 
-  // Find user by email or full name (case-insensitive)
-  const users = readUsers();
-  const user = users.find(u => 
-    (u.email && u.email.toLowerCase() === username.toLowerCase()) || 
-    (u.fullName && u.fullName.toLowerCase() === username.toLowerCase())
-  );
-  
-  // Return 401 if user not found
-  if (!user) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  if (!ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+  }
+  if (String(note).length > ORDER_NOTE_LIMIT) {
+    return res.status(400).json({ success: false, message: `note must be ${ORDER_NOTE_LIMIT} characters or fewer` });
+  }
+  if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+    return res.status(409).json({ success: false, message: `A ${order.status} order cannot be marked ${status}` });
+  }
 
-  // Compare provided password with stored hash
-  const match = await bcrypt.compare(password, user.passwordHash || '');
-  if (!match) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  const vehicles = readVehicles();
+  applyOrderStatus(order, status, vehicles, req.user, String(note).trim());
 
-  // Return public user data + JWT token for session management
-  const publicUser = { 
-    id: user.id, 
-    fullName: user.fullName, 
-    email: user.email, 
-    phone: user.phone, 
-    location: user.location, 
-    role: user.role, 
-    avatarUrl: user.avatarUrl, 
-    memberSince: user.memberSince 
+  let sale;
+  if (status === 'delivered') {
+    // Stock was taken when the vehicle was reserved
+    sale = {
+      id: Date.now(),
+      userId: order.userId,
+      customerName: order.customerName,
+      vehicleId: order.vehicleId,
+      vehicleName: order.vehicleName,
+      category: order.category,
+      ...priceSaleInBase(order.price, order.currency).fields,
+      purchaseDate: new Date().toISOString().slice(0, 10),
+      country: order.country,
+      orderId: order.id
+    };
+    order.saleId = sale.id;
+
+    const sales = readSales();
+    sales.push(sale);
+    writeSales(sales);
+  }
+
+  writeVehicles(vehicles);
+  writeOrders(req.orders);
+  notifyOrderUpdate(order, String(note).trim());
+
+  res.json(sale ? { success: true, order, sale } : { success: true, order });
+});
+
+/* ========================================
+   FINANCING - RATE TABLES & AMORTIZATION
+   ======================================== */
+
+const FINANCING_DECISIONS = ['approved', 'rejected'];
+const EMPLOYMENT_STATUSES = ['employed', 'self-employed', 'retired', 'other'];
+const FINANCING_NOTE_LIMIT = 500;
+
+/**
+ * Rate tables used until an admin saves some (and for fields missing from financing.json)
+ *   minDownPaymentPercent: Smallest down payment accepted, as a share of the price
+ *   rateTables: vehicle category -> the terms offered, each { months, apr }
+ */
+const DEFAULT_FINANCING = {
+  minDownPaymentPercent: 20,
+  rateTables: {
+    CASUAL: [{ months: 12, apr: 5.5 }, { months: 24, apr: 6.5 }, { months: 36, apr: 7.5 }, { months: 48, apr: 8.5 }, { months: 60, apr: 9.5 }],
+    SUPERCAR: [{ months: 12, apr: 7 }, { months: 24, apr: 8 }, { months: 36, apr: 9 }, { months: 48, apr: 10 }]
+  },
+  updatedAt: null
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Monthly-payment amortization of principal over months at an annual rate (APR, %)
+ * Every payment is the same except the last, which clears the rounding left over
+ *
+ * Returns { monthlyPayment, totalInterest, totalPaid, schedule }
+ *   schedule: [{ month, payment, principal, interest, balance }]
+ */
+function amortize(principal, apr, months) {
+  const rate = apr / 100 / 12;
+  const monthlyPayment = roundCents(rate === 0
+    ? principal / months
+    : principal * rate / (1 - Math.pow(1 + rate, -months)));
+
+  const schedule = [];
+  let balance = principal;
+  for (let month = 1; month <= months; month++) {
+    const interest = roundCents(balance * rate);
+    const payment = month === months ? roundCents(balance + interest) : monthlyPayment;
+    const towardPrincipal = roundCents(payment - interest);
+    balance = roundCents(balance - towardPrincipal);
+    schedule.push({ month, payment, principal: towardPrincipal, interest, balance });
+  }
+
+  const totalPaid = roundCents(schedule.reduce((sum, row) => sum + row.payment, 0));
+  return { monthlyPayment, totalInterest: roundCents(totalPaid - principal), totalPaid, schedule };
+}
+
+/**
+ * Prices a financing quote for a vehicle from the rate tables
+ * downPayment is in `currency` (default base) and is converted before checking
+ *
+ * Returns { error } or { quote } with every amount in the base currency
+ */
+function financingQuote(vehicle, downPayment, currency, months) {
+  const financing = readFinancing();
+  const terms = financing.rateTables[vehicle.category] || [];
+  if (!terms.length) return { error: 'Financing is not offered for this vehicle' };
+
+  const term = terms.find(t => t.months === Number(months));
+  if (!term) return { error: `months must be one of: ${terms.map(t => t.months).join(', ')}` };
+
+  const amount = Number(downPayment);
+  if (!Number.isFinite(amount) || amount < 0) return { error: 'downPayment must be a non-negative number' };
+
+  const { base, rates } = readRates();
+  const code = String(currency || base).toUpperCase();
+  if (!rates[code]) return { error: `Unsupported currency ${code}` };
+  const down = convertToBase(amount, code, rates);
+
+  const minimum = roundCents(vehicle.price * financing.minDownPaymentPercent / 100);
+  if (down < minimum) return { error: `The down payment must be at least ${financing.minDownPaymentPercent}% of the price` };
+  if (down >= vehicle.price) return { error: 'The down payment must be less than the price' };
+
+  const principal = roundCents(vehicle.price - down);
+  return {
+    quote: {
+      vehicleId: vehicle.id,
+      price: vehicle.price,
+      downPayment: down,
+      principal,
+      months: term.months,
+      apr: term.apr,
+      currency: base,
+      ...amortize(principal, term.apr, term.months)
+    }
   };
-  const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-  return res.json({ success: true, user: publicUser, token });
+}
+
+/**
+ * Validates a (partial) rate table update
+ * Returns { errors, financing } where financing is the current one with the update applied
+ */
+function validateFinancing(body, current) {
+  const errors = [];
+  const financing = { ...current, rateTables: { ...current.rateTables } };
+
+  if (body.minDownPaymentPercent !== undefined) {
+    const percent = Number(body.minDownPaymentPercent);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 100) errors.push('minDownPaymentPercent must be at least 0 and below 100');
+    else financing.minDownPaymentPercent = percent;
+  }
+
+  if (body.rateTables !== undefined) {
+    if (!body.rateTables || typeof body.rateTables !== 'object' || Array.isArray(body.rateTables)) {
+      errors.push('rateTables must be an object');
+    } else {
+      Object.keys(body.rateTables).forEach(category => {
+        const terms = body.rateTables[category];
+        if (!VEHICLE_CATEGORIES.includes(category)) return errors.push(`category must be one of ${VEHICLE_CATEGORIES.join(', ')}`);
+        if (!Array.isArray(terms)) return errors.push(`${category} terms must be an array`);
+
+        const seen = new Set();
+        const cleaned = [];
+        terms.forEach(term => {
+          const months = Number(term && term.months);
+          const apr = Number(term && term.apr);
+          if (!Number.isInteger(months) || months < 1 || months > 120) return errors.push(`${category}: months must be a whole number between 1 and 120`);
+          if (!Number.isFinite(apr) || apr < 0 || apr > 100) return errors.push(`${category}: apr must be between 0 and 100`);
+          if (seen.has(months)) return errors.push(`${category}: ${months} months is listed twice`);
+          seen.add(months);
+          cleaned.push({ months, apr });
+        });
+        financing.rateTables[category] = cleaned.sort((a, b) => a.months - b.months);
+      });
+    }
+  }
+
+  return { errors, financing };
+}
+
+/**
+ * Emails the applicant about a decision, unless they turned off email or
+ * order updates in their settings
+ */
+function notifyFinancingDecision(application) {
+  const customer = userRepository.findById(application.userId);
+  if (!customer) return;
+  const { notifications } = resolveSettings(customer.settings);
+  if (!notifications.email || !notifications.orderUpdates) return;
+
+  sendMail(customer.email, `Your financing application for the ${application.vehicleName} was ${application.status}`,
+    `Hi ${customer.fullName.split(' ')[0]},\n\nYour application to finance the ${application.vehicleName} `
+    + `(${application.quote.months} months at ${application.quote.apr}% APR) was ${application.status}.`
+    + (application.decisionNote ? `\n\n${application.decisionNote}` : '')
+    + `\n\nSee the details on your profile: ${APP_ORIGIN}/app/views/profile.html`);
+}
+
+/**
+ * GET /api/financing/rates
+ * Returns the rate tables shown by the calculator
+ *
+ * Response: { minDownPaymentPercent, rateTables, updatedAt }
+ */
+app.get('/api/financing/rates', (req, res) => {
+  res.json(readFinancing());
+});
+
+/**
+ * PUT /api/financing/rates
+ * Updates the rate tables (requires financing:configure); omitted fields and
+ * categories are kept. Applications keep the quote they were made with.
+ *
+ * Request body (all optional):
+ *   - minDownPaymentPercent: 0 up to (not including) 100
+ *   - rateTables: { CASUAL: [{ months, apr }], ... } (replaces each category given)
+ *
+ * Response:
+ *   - success: boolean
+ *   - financing: Updated rate tables
+ */
+app.put('/api/financing/rates', requirePermission('financing:configure'), (req, res) => {
+  const { errors, financing } = validateFinancing(req.body || {}, readFinancing());
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join('; '), errors });
+
+  financing.updatedAt = new Date().toISOString();
+  writeFinancing(financing);
+
+  res.json({ success: true, financing });
+});
+
+/**
+ * POST /api/financing/quote
+ * Amortization quote for a vehicle (no account needed)
+ *
+ * Request body:
+ *   - vehicleId (required)
+ *   - downPayment (required): Amount paid up front
+ *   - currency (optional): Currency of downPayment, defaults to the base currency
+ *   - months (required): One of the terms in the vehicle category's rate table
+ *
+ * Response:
+ *   - success: boolean
+ *   - quote: { price, downPayment, principal, months, apr, monthlyPayment,
+ *     totalInterest, totalPaid, schedule } in the base currency
+ */
+app.post('/api/financing/quote', (req, res) => {
+  const { vehicleId, downPayment, currency, months } = req.body || {};
+  if (!vehicleId || downPayment === undefined || !months) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+
+  const vehicle = readVehicles().find(v => String(v.id) === String(vehicleId));
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  const { error, quote } = financingQuote(vehicle, downPayment, currency, months);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  res.json({ success: true, quote });
 });
 
 /* ========================================
-   API ENDPOINT - GET ALL USERS (PUBLIC)
+   API ENDPOINTS - FINANCING APPLICATIONS
    ======================================== */
 
 /**
- * GET /api/users
- * Returns list of all registered users (public data only)
- * 
- * Response: Array of user objects with id, fullName, email
+ * POST /api/financing/applications
+ * Applies for financing on one of the customer's open reservations; the
+ * quote is priced server-side and kept with the application
+ *
+ * Request body:
+ *   - orderId (required): The customer's reserved or confirmed order
+ *   - downPayment, currency, months: As for /api/financing/quote
+ *   - monthlyIncome (required): In the same currency as downPayment
+ *   - employmentStatus (required): One of EMPLOYMENT_STATUSES
+ *
+ * Response:
+ *   - success: boolean
+ *   - application: The new application (status pending)
  */
-app.get('/api/users', (req, res) => {
-  const users = readUsers();
-  // Return only public info (never send password hashes)
-  const publicOnly = users.map(u => ({ id: u.id, fullName: u.fullName, email: u.email }));
-  res.json(publicOnly);
+app.post('/api/financing/applications', authenticate, (req, res) => {
+  const { orderId, downPayment, currency, months, monthlyIncome, employmentStatus } = req.body || {};
+  if (!orderId || downPayment === undefined || !months || monthlyIncome === undefined || !employmentStatus) {
+    return res.status(400).json({ success: false, message: 'Missing required fields' });
+  }
+  if (!EMPLOYMENT_STATUSES.includes(employmentStatus)) {
+    return res.status(400).json({ success: false, message: `employmentStatus must be one of: ${EMPLOYMENT_STATUSES.join(', ')}` });
+  }
+
+  const order = readOrdersExpiringHolds().find(o => String(o.id) === String(orderId) && o.userId === req.user.id);
+  if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+  if (!['reserved', 'confirmed'].includes(order.status)) {
+    return res.status(409).json({ success: false, message: 'Financing can only be requested while an order is reserved or confirmed' });
+  }
+
+  const applications = readApplications();
+  if (applications.some(a => a.orderId === order.id && a.status !== 'rejected')) {
+    return res.status(409).json({ success: false, message: 'This order already has a financing application' });
+  }
+
+  const vehicle = readVehicles().find(v => v.id === order.vehicleId);
+  if (!vehicle) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+  // Priced at the reserved price, not whatever the list price is today
+  const { error, quote } = financingQuote({ ...vehicle, price: order.price }, downPayment, currency, months);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const income = Number(monthlyIncome);
+  const incomeBase = Number.isFinite(income) && income > 0 ? convertToBase(income, String(currency || quote.currency).toUpperCase()) : null;
+  if (!incomeBase) return res.status(400).json({ success: false, message: 'monthlyIncome must be a positive number' });
+
+  // The schedule is rebuilt on demand; only the terms are stored
+  const { schedule, ...terms } = quote;
+  const application = {
+    id: Date.now(),
+    orderId: order.id,
+    userId: req.user.id,
+    customerName: req.user.fullName,
+    email: req.user.email,
+    vehicleId: order.vehicleId,
+    vehicleName: order.vehicleName,
+    quote: terms,
+    monthlyIncome: incomeBase,
+    employmentStatus,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    decidedAt: null,
+    decidedBy: null,
+    decisionNote: ''
+  };
+
+  applications.push(application);
+  writeApplications(applications);
+
+  res.status(201).json({ success: true, application });
+});
+
+/**
+ * GET /api/me/financing/applications
+ * Returns the logged-in user's financing applications, newest first
+ *
+ * Response: Array of application objects (without the reviewer)
+ */
+app.get('/api/me/financing/applications', authenticate, (req, res) => {
+  const mine = readApplications()
+    .filter(a => a.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ decidedBy, ...application }) => application);
+
+  res.json(mine);
+});
+
+/**
+ * GET /api/financing/applications?status=
+ * Staff review queue, oldest pending first then newest decided
+ *
+ * Query parameters:
+ *   - status (optional): pending, approved or rejected
+ *
+ * Response: Array of application objects; each includes incomeRatio, the
+ * monthly payment as a share of monthly income (0.35 = 35%)
+ */
+app.get('/api/financing/applications', requirePermission('financing:review'), (req, res) => {
+  const { status } = req.query;
+  const statuses = ['pending', ...FINANCING_DECISIONS];
+  if (status && !statuses.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${statuses.join(', ')}` });
+  }
+
+  const matching = readApplications().filter(a => !status || a.status === status);
+  const pending = matching.filter(a => a.status === 'pending').sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const decided = matching.filter(a => a.status !== 'pending').sort((a, b) => b.decidedAt.localeCompare(a.decidedAt));
+
+  res.json([...pending, ...decided].map(a => ({
+    ...a,
+    incomeRatio: Math.round(a.quote.monthlyPayment / a.monthlyIncome * 100) / 100
+  })));
+});
+
+/**
+ * POST /api/financing/applications/:id/decision
+ * Approves or rejects a pending application and emails the customer
+ *
+ * Request body:
+ *   - decision (required): approved or rejected
+ *   - note (optional): Up to 500 characters, shown to the customer
+ *
+ * Response:
+ *   - success: boolean
+ *   - application: The decided application
+ */
+app.post('/api/financing/applications/:id/decision', requirePermission('financing:review'), (req, res) => {
+  const { decision, note = '' } = req.body || {};
+  if (!FINANCING_DECISIONS.includes(decision)) {
+    return res.status(400).json({ success: false, message: `decision must be one of: ${FINANCING_DECISIONS.join(', ')}` });
+  }
+  if (String(note).length > FINANCING_NOTE_LIMIT) {
+    return res.status(400).json({ success: false, message: `note must be ${FINANCING_NOTE_LIMIT} characters or fewer` });
+  }
+
+  const applications = readApplications();
+  const application = applications.find(a => String(a.id) === req.params.id);
+  if (!application) return res.status(404).json({ success: false, message: 'Application not found' });
+  if (application.status !== 'pending') {
+    return res.status(409).json({ success: false, message: 'This application has already been decided' });
+  }
+
+  application.status = decision;
+  application.decidedAt = new Date().toISOString();
+  application.decidedBy = { id: req.user.id, fullName: req.user.fullName };
+  application.decisionNote = String(note).trim();
+  writeApplications(applications);
+  notifyFinancingDecision(application);
+
+  res.json({ success: true, application });
 });
 
 /* ========================================
    START SERVER
    ======================================== */
 
+// Bring over accounts and files left in the web root by older versions
+importLegacyUsers(userRepository, LEGACY_USERS_FILE);
+moveLegacyDataFiles();
+
 // Listen on specified port and log startup message
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}/`);
@@ -0,0 +1,216 @@
+/* users.js
+   Purpose: Admin user console (users.html), backed by /api/admin/users
+   Features:
+   - Search by name / email / phone / location, role and status filters
+   - Server-side pagination
+   - Per-account actions: view, change role, disable / enable,
+     force password reset, delete
+   - Labels, prompts and status text from the i18n catalogs
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   STATE
+   ======================================== */
+
+const ROLE_OPTIONS = ['Standard Member', 'Sales Agent', 'Administrator'];
+
+// Role names are stored in English; these are their display labels
+const ROLE_LABEL_KEYS = {
+    'Standard Member': 'common.standardMember',
+    'Sales Agent': 'users.salesAgent',
+    'Administrator': 'users.administrator'
+};
+
+function roleLabel(role) {
+    return ROLE_LABEL_KEYS[role] ? t(ROLE_LABEL_KEYS[role]) : role;
+}
+
+const userQuery = { page: 1 };
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('user-search');
+    if (!form) return;
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        ['q', 'role', 'status'].forEach(key => {
+            userQuery[key] = form.elements[key].value.trim();
+        });
+        userQuery.page = 1;
+        loadUsers();
+    });
+
+    form.addEventListener('change', e => {
+        if (e.target.matches('select')) form.requestSubmit();
+    });
+
+    document.getElementById('detail-close').addEventListener('click', () => {
+        document.getElementById('user-detail').hidden = true;
+    });
+
+    loadUsers();
+});
+
+/* ========================================
+   LOADING & RENDERING
+   ======================================== */
+
+function loadUsers() {
+    const params = new URLSearchParams();
+    Object.keys(userQuery).forEach(key => {
+        if (userQuery[key]) params.set(key, userQuery[key]);
+    });
+
+    Promise.all([apiRequest(`/api/admin/users?${params}`), window.i18nReady])
+        .then(([data]) => renderUsers(data))
+        .catch(err => {
+            console.error('[Users] Failed to load users:', err);
+            window.i18nReady.then(() => renderUsersMessage(err.status === 401 || err.status === 403
+                ? t('users.adminOnly')
+                : t('users.unavailable')));
+        });
+}
+
+function renderUsers(data) {
+    const tbody = document.getElementById('users-body');
+    tbody.innerHTML = '';
+
+    document.getElementById('user-summary').textContent = t('users.accountCount', { count: data.total });
+
+    if (!data.results.length) {
+        renderUsersMessage(t('users.noMatches'));
+    }
+
+    data.results.forEach(user => tbody.appendChild(createUserRow(user)));
+    renderUsersPagination(data);
+}
+
+function renderUsersMessage(message) {
+    const tbody = document.getElementById('users-body');
+    tbody.innerHTML = '';
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.textContent = message;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+}
+
+function createUserRow(user) {
+    const row = document.createElement('tr');
+    if (user.disabled) row.classList.add('user-disabled');
+
+    const nameCell = document.createElement('td');
+    const nameLink = document.createElement('a');
+    nameLink.href = '#';
+    nameLink.textContent = user.fullName;
+    nameLink.addEventListener('click', e => {
+        e.preventDefault();
+        viewUser(user.id);
+    });
+    nameCell.appendChild(nameLink);
+
+    const emailCell = document.createElement('td');
+    emailCell.textContent = user.email;
+
+    // Role picker applies immediately
+    const roleCell = document.createElement('td');
+    const roleSelect = document.createElement('select');
+    ROLE_OPTIONS.forEach(role => roleSelect.add(new Option(roleLabel(role), role, false, role === user.role)));
+    roleSelect.addEventListener('change', () => {
+        userAction(`/api/admin/users/${user.id}/role`, 'PUT', { role: roleSelect.value });
+    });
+    roleCell.appendChild(roleSelect);
+
+    const statusCell = document.createElement('td');
+    statusCell.textContent = t(user.disabled ? 'users.disabled' : 'users.active');
+
+    const actions = document.createElement('td');
+    actions.className = 'user-actions';
+    actions.append(
+        actionButton(t(user.disabled ? 'users.enable' : 'users.disable'), () =>
+            userAction(`/api/admin/users/${user.id}/${user.disabled ? 'enable' : 'disable'}`, 'POST')),
+        actionButton(t('users.resetPassword'), () => resetPassword(user)),
+        actionButton(t('users.delete'), () => {
+            if (confirm(t('users.confirmDelete', { name: user.fullName }))) {
+                userAction(`/api/admin/users/${user.id}`, 'DELETE');
+            }
+        })
+    );
+
+    row.append(nameCell, emailCell, roleCell, statusCell, actions);
+    return row;
+}
+
+function actionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderUsersPagination(data) {
+    const container = document.getElementById('users-pagination');
+    container.innerHTML = '';
+    if (data.totalPages <= 1) return;
+
+    const prev = actionButton(t('common.previousPage'), () => {
+        userQuery.page = data.page - 1;
+        loadUsers();
+    });
+    prev.disabled = data.page <= 1;
+
+    const label = document.createElement('span');
+    label.textContent = t('common.pageOf', { page: data.page, pages: data.totalPages });
+
+    const next = actionButton(t('common.nextPage'), () => {
+        userQuery.page = data.page + 1;
+        loadUsers();
+    });
+    next.disabled = data.page >= data.totalPages;
+
+    container.append(prev, label, next);
+}
+
+/* ========================================
+   ACTIONS
+   ======================================== */
+
+// Runs an admin action, then reloads the list (errors reload too, so a
+// rejected role change doesn't leave the select showing the wrong value)
+function userAction(endpoint, method, body) {
+    return apiRequest(endpoint, { method, body })
+        .catch(err => alert(err.message))
+        .finally(loadUsers);
+}
+
+function resetPassword(user) {
+    if (!confirm(t('users.confirmReset', { name: user.fullName }))) return;
+
+    apiRequest(`/api/admin/users/${user.id}/reset-password`, { method: 'POST' })
+        .then(({ temporaryPassword }) => {
+            // Shown once; the server only keeps the hash
+            prompt(t('users.temporaryPassword', { name: user.fullName }), temporaryPassword);
+        })
+        .catch(err => alert(err.message))
+        .finally(loadUsers);
+}
+
+function viewUser(id) {
+    apiRequest(`/api/admin/users/${id}`)
+        .then(({ user }) => {
+            document.getElementById('detail-name').textContent = user.fullName;
+            document.getElementById('detail-email').textContent = user.email || '-';
+            document.getElementById('detail-phone').textContent = user.phone || '-';
+            document.getElementById('detail-location').textContent = user.location || '-';
+            document.getElementById('detail-role').textContent = roleLabel(user.role);
+            document.getElementById('detail-status').textContent = t(user.disabled
+                ? 'users.disabled'
+                : user.passwordResetRequired ? 'users.resetPending' : 'users.active');
+            document.getElementById('detail-member-since').textContent = user.memberSince || '-';
+            document.getElementById('user-detail').hidden = false;
+        })
+        .catch(err => alert(err.message));
+}
@@ -0,0 +1,126 @@
+/* vehicle.js
+   Purpose: Vehicle detail page — loads one vehicle by ?id= and renders it
+   Features:
+   - Photo gallery with clickable thumbnails (photos from the media store load
+     in the width the screen needs; staff manage them with vehicleMedia.js)
+   - Spec sheet (year, engine, hp, 0–100, drivetrain)
+   - Price in the user's preferred currency (currency.js)
+   - Stock availability and related models from the same brand
+   - "Ask about this vehicle" link to the contact form
+   - Wishlist heart next to the title (wishlist.js)
+   - Status text from the i18n catalogs (rendered once i18nReady resolves)
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    const id = new URLSearchParams(window.location.search).get('id');
+    const title = document.getElementById('vehicle-title');
+
+    // The title's "Loading..." placeholder must not be re-translated over the name
+    const showTitle = text => {
+        delete title.dataset.i18n;
+        title.textContent = text;
+    };
+
+    if (!id) {
+        window.i18nReady.then(() => showTitle(t('vehicle.notFound')));
+        return;
+    }
+
+    Promise.all([apiRequest(`/api/vehicles/${encodeURIComponent(id)}`), window.i18nReady])
+        .then(([vehicle]) => {
+            renderVehicle(vehicle);
+            return apiRequest(`/api/vehicles?make=${encodeURIComponent(vehicle.make)}`)
+                .then(brandVehicles => renderRelated(vehicle, brandVehicles));
+        })
+        .catch(err => {
+            console.error('[Vehicle] Failed to load vehicle:', err);
+            window.i18nReady.then(() => showTitle(t(err.status === 404 ? 'vehicle.notFound' : 'vehicle.unavailable')));
+        });
+});
+
+/* ========================================
+   DETAIL RENDERING
+   ======================================== */
+
+function renderVehicle(vehicle) {
+    const name = `${vehicle.make} ${vehicle.model}`;
+    document.title = `Hanire - ${name}`;
+    const title = document.getElementById('vehicle-title');
+    delete title.dataset.i18n;
+    title.textContent = name;
+    if (typeof createWishlistToggle === 'function') {
+        title.appendChild(createWishlistToggle(vehicle.id));
+    }
+
+    document.getElementById('vehicle-category').textContent = vehicle.category;
+    setPrice(document.getElementById('vehicle-price'), vehicle.price);
+    document.getElementById('vehicle-description').textContent = vehicle.description || '';
+    document.getElementById('vehicle-ask').href = `contact.html?vehicle=${encodeURIComponent(vehicle.id)}`;
+
+    const stock = document.getElementById('vehicle-stock');
+    if (vehicle.stock > 0) {
+        stock.textContent = t('vehicle.inStock', { count: vehicle.stock });
+        stock.classList.add('in-stock');
+    } else {
+        stock.textContent = t('vehicle.soldOut');
+        stock.classList.add('sold-out');
+    }
+
+    setSpec('spec-year', vehicle.year);
+    setSpec('spec-engine', vehicle.engine);
+    setSpec('spec-horsepower', vehicle.horsepower && `${vehicle.horsepower.toLocaleString()} hp`);
+    setSpec('spec-acceleration', vehicle.zeroToHundred && `${vehicle.zeroToHundred} s`);
+    setSpec('spec-drivetrain', vehicle.drivetrain);
+
+    renderGallery(vehicle.images || [], name);
+    document.getElementById('vehicle-layout').hidden = false;
+}
+
+function setSpec(id, value) {
+    document.getElementById(id).textContent = value || '-';
+}
+
+function renderGallery(images, name) {
+    const main = document.getElementById('gallery-main');
+    const thumbs = document.getElementById('gallery-thumbs');
+    thumbs.innerHTML = '';
+
+    function show(index) {
+        setVehicleImage(main, images[index], '(max-width: 900px) 100vw, 60vw');
+        main.alt = t('vehicle.photoAlt', { name, number: index + 1 });
+        thumbs.querySelectorAll('img').forEach((thumb, i) => thumb.classList.toggle('active', i === index));
+    }
+
+    main.hidden = !images.length;
+    if (!images.length) return;
+
+    // Thumbnails only make sense with more than one photo
+    if (images.length > 1) {
+        images.forEach((src, index) => {
+            const thumb = document.createElement('img');
+            setVehicleImage(thumb, src, '100px');
+            thumb.alt = t('vehicle.thumbnailAlt', { name, number: index + 1 });
+            thumb.addEventListener('click', () => show(index));
+            thumbs.appendChild(thumb);
+        });
+    }
+
+    show(0);
+}
+
+/* ========================================
+   RELATED MODELS
+   ======================================== */
+
+function renderRelated(vehicle, brandVehicles) {
+    const related = brandVehicles.filter(v => v.id !== vehicle.id);
+    if (!related.length) return;
+
+    const title = document.getElementById('related-title');
+    delete title.dataset.i18n;
+    title.textContent = t('vehicle.moreFrom', { make: vehicle.make });
+    const gallery = document.getElementById('related-gallery');
+    related.forEach(v => gallery.appendChild(createCarItem(v)));
+    document.getElementById('related-section').hidden = false;
+}
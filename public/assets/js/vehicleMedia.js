@@ -0,0 +1,205 @@
+/* vehicleMedia.js
+   Purpose: Photo management on the vehicle page for inventory staff
+   (inventory:manage), backed by /api/vehicles/:id/images
+   Features:
+   - Upload several photos at once; the server stores them in its media
+     store and makes the responsive sizes
+   - Reorder with the arrow buttons, make any photo the cover, remove photos
+   - Copy linked photos (third-party URLs, loose site files) into the store
+   Notes:
+   - The first photo is the cover used by the catalog, wishlist and compare views
+   - The public gallery above is redrawn after every change (renderGallery in vehicle.js)
+   Edited: 2026-10-19
+*/
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.i18nReady.then(() => {
+        if (document.getElementById('media-section') && hasPermission('inventory:manage')) initVehicleMedia();
+    });
+});
+
+let mediaVehicle = null;
+
+/* ========================================
+   LOADING
+   ======================================== */
+
+function initVehicleMedia() {
+    const vehicleId = new URLSearchParams(window.location.search).get('id');
+    if (!vehicleId) return;
+
+    document.getElementById('media-upload').addEventListener('submit', e => {
+        e.preventDefault();
+        uploadVehiclePhotos(e.target);
+    });
+    document.getElementById('media-import').addEventListener('click', importLinkedPhotos);
+
+    apiRequest(`/api/vehicles/${encodeURIComponent(vehicleId)}`)
+        .then(vehicle => {
+            showVehicleMedia(vehicle);
+            document.getElementById('media-section').hidden = false;
+        })
+        .catch(err => console.error('[Media] Vehicle unavailable:', err));
+}
+
+// Keeps the manager and the public gallery in step with the server's copy
+function showVehicleMedia(vehicle) {
+    mediaVehicle = vehicle;
+    const images = vehicle.images || [];
+
+    renderMediaList(images);
+    document.getElementById('media-import').hidden = !images.some(isLinkedPhoto);
+    if (typeof renderGallery === 'function') renderGallery(images, `${vehicle.make} ${vehicle.model}`);
+}
+
+function isLinkedPhoto(url) {
+    return !url.startsWith('/uploads/vehicles/');
+}
+
+function setMediaMessage(text, isError = false) {
+    const message = document.getElementById('media-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+/* ========================================
+   PHOTO LIST
+   ======================================== */
+
+function renderMediaList(images) {
+    const list = document.getElementById('media-list');
+    list.innerHTML = '';
+
+    if (!images.length) {
+        const empty = document.createElement('li');
+        empty.className = 'media-empty';
+        empty.textContent = t('media.noPhotos');
+        list.appendChild(empty);
+        return;
+    }
+
+    images.forEach((url, index) => list.appendChild(createMediaItem(url, index, images.length)));
+}
+
+function createMediaItem(url, index, count) {
+    const item = document.createElement('li');
+    item.className = 'media-item';
+
+    const img = document.createElement('img');
+    img.alt = t('media.photoNumber', { number: index + 1 });
+    setVehicleImage(img, url, '160px');
+
+    const badges = document.createElement('div');
+    badges.className = 'media-badges';
+    if (index === 0) badges.appendChild(mediaBadge(t('media.cover'), 'cover'));
+    if (isLinkedPhoto(url)) badges.appendChild(mediaBadge(t('media.linked'), 'linked'));
+
+    const actions = document.createElement('div');
+    actions.className = 'media-actions';
+    actions.append(
+        mediaButton('←', t('media.moveEarlier'), index === 0, () => moveVehiclePhoto(index, -1)),
+        mediaButton('→', t('media.moveLater'), index === count - 1, () => moveVehiclePhoto(index, 1)),
+        mediaButton(t('media.makeCover'), null, index === 0, () => makeCoverPhoto(url)),
+        mediaButton(t('media.remove'), null, false, () => removeVehiclePhoto(url))
+    );
+
+    item.append(img, badges, actions);
+    return item;
+}
+
+function mediaBadge(text, kind) {
+    const badge = document.createElement('span');
+    badge.className = `media-badge ${kind}`;
+    badge.textContent = text;
+    return badge;
+}
+
+function mediaButton(text, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    if (label) {
+        button.title = label;
+        button.setAttribute('aria-label', label);
+    }
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/* ========================================
+   CHANGES
+   Every endpoint answers with the updated vehicle
+   ======================================== */
+
+function mediaEndpoint(suffix = '') {
+    return `/api/vehicles/${encodeURIComponent(mediaVehicle.id)}/images${suffix}`;
+}
+
+function saveMediaChange(request) {
+    return request
+        .then(data => {
+            showVehicleMedia(data.vehicle);
+            return data;
+        })
+        .catch(err => {
+            console.error('[Media] Update failed:', err);
+            setMediaMessage(err.message, true);
+            return null;
+        });
+}
+
+function uploadVehiclePhotos(form) {
+    const files = [...form.elements.photos.files];
+    if (!files.length) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('photos', file));
+
+    const submit = form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    setMediaMessage(t('media.uploading', { count: files.length }));
+
+    saveMediaChange(apiRequest(mediaEndpoint(), { method: 'POST', body: formData }))
+        .then(data => {
+            if (data) setMediaMessage(t('media.uploaded', { count: files.length }));
+            form.reset();
+            submit.disabled = false;
+        });
+}
+
+function moveVehiclePhoto(index, offset) {
+    const images = [...mediaVehicle.images];
+    const [moved] = images.splice(index, 1);
+    images.splice(index + offset, 0, moved);
+
+    setMediaMessage('');
+    saveMediaChange(apiRequest(mediaEndpoint(), { method: 'PUT', body: { images } }));
+}
+
+function makeCoverPhoto(image) {
+    setMediaMessage('');
+    saveMediaChange(apiRequest(mediaEndpoint('/cover'), { method: 'POST', body: { image } }));
+}
+
+function removeVehiclePhoto(image) {
+    if (!confirm(t('media.confirmRemove'))) return;
+
+    setMediaMessage('');
+    saveMediaChange(apiRequest(mediaEndpoint(), { method: 'DELETE', body: { image } }));
+}
+
+// Links that can't be fetched stay in the gallery; the server says which and why
+function importLinkedPhotos() {
+    const button = document.getElementById('media-import');
+    button.disabled = true;
+    setMediaMessage(t('media.importing'));
+
+    saveMediaChange(apiRequest(mediaEndpoint('/import'), { method: 'POST' }))
+        .then(data => {
+            button.disabled = false;
+            if (!data) return;
+            const failures = data.failed.map(({ image, message }) => `${image} — ${message}`);
+            setMediaMessage([t('media.imported', { count: data.imported }), ...failures].join('\n'), data.failed.length > 0);
+        });
+}
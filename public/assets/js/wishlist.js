@@ -0,0 +1,195 @@
+/* wishlist.js
+   Purpose: Saved vehicles (wishlist), backed by /api/me/wishlist
+   Features:
+   - Heart toggle on every catalog card (catalog.js adds it through createWishlistToggle)
+   - "Saved" section on profile.html, with picks for the comparison view
+     (compare.html, 2–4 vehicles)
+   Notes:
+   - Guests see the hearts too; pressing one takes them to the login page
+   Edited: 2026-10-19
+*/
+
+/* ========================================
+   STATE
+   ======================================== */
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+
+let savedVehicleIds = new Set();
+
+// Resolves once the saved IDs are known (immediately for guests)
+window.wishlistReady = (getAuthToken()
+    ? apiRequest('/api/me/wishlist').then(doc => {
+        savedVehicleIds = new Set(doc.vehicleIds.map(String));
+        return doc;
+    })
+    : Promise.resolve({ vehicleIds: [], vehicles: [] })
+).catch(err => {
+    console.warn('[Wishlist] Saved vehicles unavailable:', err.message);
+    return { vehicleIds: [], vehicles: [] };
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    const list = document.getElementById('saved-vehicles');
+    if (!list) return;
+
+    list.addEventListener('change', updateCompareButton);
+    document.getElementById('compare-saved').addEventListener('click', () => {
+        const ids = [...list.querySelectorAll('.saved-compare:checked')].map(box => box.value);
+        navigateToPage(`compare.html?ids=${ids.map(encodeURIComponent).join(',')}`);
+    });
+
+    Promise.all([window.i18nReady, window.wishlistReady]).then(([, doc]) => renderSavedVehicles(doc.vehicles));
+});
+
+/* ========================================
+   HEART TOGGLE (catalog cards)
+   ======================================== */
+
+/**
+ * Builds the heart button for one vehicle; every toggle for the same
+ * vehicle on the page stays in sync
+ */
+window.createWishlistToggle = function (vehicleId) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'wishlist-toggle';
+    button.dataset.wishlistId = vehicleId;
+    button.textContent = '♡';
+
+    Promise.all([window.i18nReady, window.wishlistReady])
+        .then(() => setToggleState(button, savedVehicleIds.has(String(vehicleId))));
+
+    button.addEventListener('click', e => {
+        e.stopPropagation();
+        if (!getAuthToken()) {
+            navigateToPage('login.html');
+            return;
+        }
+        toggleSaved(String(vehicleId));
+    });
+
+    return button;
+};
+
+function setToggleState(button, saved) {
+    button.setAttribute('aria-pressed', String(saved));
+    button.textContent = saved ? '♥' : '♡';
+    button.title = t(saved ? 'wishlist.removeFromSaved' : 'wishlist.save');
+    button.setAttribute('aria-label', button.title);
+}
+
+function syncToggles(vehicleId) {
+    document.querySelectorAll(`.wishlist-toggle[data-wishlist-id="${CSS.escape(vehicleId)}"]`)
+        .forEach(button => setToggleState(button, savedVehicleIds.has(vehicleId)));
+}
+
+/**
+ * Saves or un-saves a vehicle; the hearts flip straight away and flip back
+ * if the server refuses. Resolves true on success.
+ */
+function toggleSaved(vehicleId) {
+    const wasSaved = savedVehicleIds.has(vehicleId);
+    if (wasSaved) savedVehicleIds.delete(vehicleId);
+    else savedVehicleIds.add(vehicleId);
+    syncToggles(vehicleId);
+
+    return apiRequest(`/api/me/wishlist/${encodeURIComponent(vehicleId)}`, { method: wasSaved ? 'DELETE' : 'POST' })
+        .then(({ vehicleIds }) => {
+            savedVehicleIds = new Set(vehicleIds.map(String));
+            syncToggles(vehicleId);
+            return true;
+        })
+        .catch(err => {
+            console.error('[Wishlist] Update failed:', err);
+            if (wasSaved) savedVehicleIds.add(vehicleId);
+            else savedVehicleIds.delete(vehicleId);
+            syncToggles(vehicleId);
+            alert(err.message);
+            return false;
+        });
+}
+
+/* ========================================
+   SAVED VEHICLES (profile.html)
+   ======================================== */
+
+function renderSavedVehicles(vehicles) {
+    const list = document.getElementById('saved-vehicles');
+    const compareButton = document.getElementById('compare-saved');
+    list.innerHTML = '';
+
+    if (!vehicles.length) {
+        const empty = document.createElement('p');
+        empty.className = 'saved-empty';
+        empty.textContent = t('wishlist.noneSaved');
+        list.appendChild(empty);
+        compareButton.hidden = true;
+        return;
+    }
+
+    vehicles.forEach(vehicle => list.appendChild(createSavedItem(vehicle)));
+
+    compareButton.hidden = false;
+    updateCompareButton();
+}
+
+function createSavedItem(vehicle) {
+    const name = `${vehicle.make} ${vehicle.model}`;
+
+    const item = document.createElement('div');
+    item.className = 'saved-item';
+
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.className = 'saved-compare';
+    pick.value = vehicle.id;
+    pick.setAttribute('aria-label', t('wishlist.compareVehicle', { vehicle: name }));
+
+    const img = document.createElement('img');
+    setVehicleImage(img, vehicle.images && vehicle.images[0], '70px');
+    img.alt = name;
+
+    const link = document.createElement('a');
+    link.className = 'vehicle';
+    link.href = '#';
+    link.textContent = name;
+    link.addEventListener('click', e => {
+        e.preventDefault();
+        navigateToPage(`vehicle.html?id=${encodeURIComponent(vehicle.id)}`);
+    });
+
+    const price = document.createElement('span');
+    price.className = 'price';
+    if (typeof setPrice === 'function') setPrice(price, vehicle.price);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'saved-remove';
+    remove.textContent = t('wishlist.remove');
+    remove.addEventListener('click', () => {
+        toggleSaved(String(vehicle.id)).then(removed => {
+            if (!removed) return;
+            item.remove();
+            if (!document.querySelector('.saved-item')) renderSavedVehicles([]);
+            updateCompareButton();
+        });
+    });
+
+    item.append(pick, img, link, price, remove);
+    return item;
+}
+
+// Compare needs 2–4 picks; extra boxes are locked once 4 are ticked
+function updateCompareButton() {
+    const boxes = [...document.querySelectorAll('.saved-compare')];
+    const picked = boxes.filter(box => box.checked).length;
+    boxes.forEach(box => { box.disabled = !box.checked && picked >= COMPARE_MAX; });
+
+    const button = document.getElementById('compare-saved');
+    button.disabled = picked < COMPARE_MIN;
+    button.textContent = picked < COMPARE_MIN
+        ? t('wishlist.pickToCompare', { min: COMPARE_MIN, max: COMPARE_MAX })
+        : t('wishlist.compareCount', { count: picked });
+}